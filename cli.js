@@ -0,0 +1,551 @@
+#!/usr/bin/env node
+"use strict";
+
+let _ = require("lodash");
+
+let fs = require("fs");
+let process = require("process");
+let minimist = require("minimist");
+
+let turnover = require("./index");
+let access = require("./lib/access");
+let conditional = require("./lib/conditional");
+let config = require("./lib/config");
+let diff = require("./lib/diff");
+let geopackage = require("./lib/geopackage");
+let guidelines = require("./lib/guidelines");
+let input = require("./lib/input");
+let issueReport = require("./lib/issues");
+let output = require("./lib/output");
+let pbf = require("./lib/pbf");
+let report = require("./lib/report");
+let state = require("./lib/state");
+let summary = require("./lib/summary");
+
+/**
+ * {String} The command line usage and options.
+ */
+const usage = `Usage: apple-turnover [options] input.{json,osm,osm.pbf} [output]
+       apple-turnover --diff [options] old.{json,osm,osm.pbf} new.{json,osm,osm.pbf} [output]
+       apple-turnover --state state.json --apply changes.osc [options] [output]
+
+Analyzes the turn lanes in an OpenStreetMap file, or compares the turn lanes in
+two snapshots of the same region. The results are written to the output file if
+specified or to standard output otherwise.
+
+Output options:
+  -f, --format FORMAT        tsv, csv, geojson, geojsonseq, html, or gpkg (or
+                             tsv or json with --summary, or tsv or geojson
+                             with --diff); inferred from the output file name;
+                             gpkg adds a run to a new or existing GeoPackage
+  --columns COLUMNS          comma-separated columns to output in tsv or csv
+                             format, such as fromWays,turn,toWay,osmLink
+  --summary                  output aggregate statistics instead of maneuvers
+  --diff                     output maneuvers that were added, removed, or
+                             modified between two snapshots
+  --group-by KEYS            comma-separated attributes to group statistics by,
+                             such as turn,fromClass,speed
+  --percentiles LIST         comma-separated percentiles to calculate
+  --bin-width METERS         width of each histogram bin
+  --speed-bucket KPH         size of each speed bucket
+  --detailed                 distinguish slight, sharp, and merge maneuvers
+  --profile PROFILE          car, bus, or hgv; lanes that the vehicle may not
+                             use are counted separately as restricted lanes
+  --at DATETIME              evaluate conditional tags at a local date and time,
+                             such as 2026-10-19T08:00
+  --issues FILE              save tagging issues to a .json, .geojson, or
+                             .geojsonl file
+  --issues-format FORMAT     json, geojson, or maproulette
+  --stats                    print counts and timings to standard error
+
+Filters:
+  --turn TURNS               comma-separated turns to output, such as left,right
+  --kind KINDS               comma-separated kinds of lanes to output:
+                             turnLane, centerTurnLane, mergeLane
+  --include-classes CLASSES  comma-separated highway classes to analyze, such as
+                             primary,secondary,*_link
+  --exclude-classes CLASSES  comma-separated highway classes not to analyze
+  --time-dependent           only output maneuvers along ways with conditional
+                             tags, such as turn:lanes:conditional
+
+Design guidelines:
+  --guidelines FILE          check turn lane lengths against a .json or .csv
+                             table of required lengths, outputting only the
+                             maneuvers that fall short (ignored with --diff)
+
+Region options:
+  --driving-side SIDE        left or right, overriding the side of the road
+                             that traffic drives on
+  --bbox W,S,E,N             only output maneuvers ending within a bounding box
+
+Incremental updates:
+  --save-state FILE          save the analysis to a file for later updates
+  --state FILE               read a saved analysis instead of an input file
+  --apply FILE               apply an osmChange (.osc) file to the saved
+                             analysis, recomputing only the affected maneuvers;
+                             may be repeated; the updated analysis is saved
+                             back to the --state file unless --save-state is set
+
+Other options:
+  -c, --config FILE          read heuristics from a .json, .yaml, or .yml file
+  -h, --help                 show this message
+`;
+
+let argv = minimist(process.argv.slice(2), {
+    boolean: ["stats", "summary", "diff", "detailed", "time-dependent", "help"],
+    string: ["format", "group-by", "percentiles", "issues", "issues-format", "driving-side", "profile", "at", "columns",
+             "turn", "kind", "include-classes", "exclude-classes", "bbox", "config", "guidelines",
+             "save-state", "state", "apply"],
+    alias: {
+        c: "config",
+        f: "format",
+        h: "help"
+    }
+});
+if (argv.help) {
+    process.stdout.write(usage);
+    return;
+}
+let inputPath = argv.apply ? undefined : argv._[0];
+let newInputPath = argv.diff ? argv._[1] : undefined;
+let outputPath = argv.apply ? argv._[0] : argv._[argv.diff ? 2 : 1];
+if (argv.apply ? !argv.state : (!inputPath || (argv.diff && !newInputPath))) {
+    process.stderr.write(usage);
+    process.exitCode = 1;
+    return;
+}
+
+let format;
+if (argv.diff) {
+    format = argv.format || (/\.geojson$/i.test(outputPath) ? "geojson" : "tsv");
+    if (!(format in diff.formats)) {
+        console.error("Unrecognized diff format %s", format);
+        process.exitCode = 1;
+        return;
+    }
+} else if (argv.summary) {
+    format = argv.format || (/\.json$/i.test(outputPath) ? "json" : "tsv");
+    if (!["tsv", "json"].includes(format)) {
+        console.error("Unrecognized summary format %s", format);
+        process.exitCode = 1;
+        return;
+    }
+} else {
+    format = argv.format || output.detectFormat(outputPath);
+    if (!(format in output.formats) && !["html", "gpkg"].includes(format)) {
+        console.error("Unrecognized output format %s", format);
+        process.exitCode = 1;
+        return;
+    }
+    if (format === "gpkg" && !outputPath) {
+        console.error("An output file is required for the gpkg format");
+        process.exitCode = 1;
+        return;
+    }
+}
+
+/**
+ * {Array<String>} The columns to output in a tabular format.
+ */
+let columns = argv.columns ? argv.columns.split(",") : output.defaultColumns;
+if (!argv.columns && argv.guidelines) {
+    columns = columns.concat(output.complianceColumns);
+}
+let unknownColumns = _.difference(columns, Object.keys(output.columns));
+if (unknownColumns.length) {
+    console.error("Unrecognized column %s; expected one of %s", unknownColumns[0], Object.keys(output.columns).join(", "));
+    process.exitCode = 1;
+    return;
+}
+
+/**
+ * {Object} Options for grouping maneuvers when the `--summary` option is set.
+ */
+let summaryOptions = {
+    groupBy: argv["group-by"] ? argv["group-by"].split(",") : [],
+    percentiles: argv.percentiles ? argv.percentiles.split(",").map(parseFloat) : undefined,
+    binWidth: argv["bin-width"],
+    speedBucket: argv["speed-bucket"]
+};
+summaryOptions = _.omitBy(summaryOptions, _.isUndefined);
+let unknownKeys = _.difference(summaryOptions.groupBy, summary.groupKeys);
+if (unknownKeys.length) {
+    console.error("Unrecognized group key %s; expected one of %s", unknownKeys[0], summary.groupKeys.join(", "));
+    process.exitCode = 1;
+    return;
+}
+
+let drivingSide = argv["driving-side"];
+if (drivingSide && !["left", "right"].includes(drivingSide)) {
+    console.error("Unrecognized driving side %s; expected left or right", drivingSide);
+    process.exitCode = 1;
+    return;
+}
+
+let profile = argv.profile || "car";
+if (!(profile in access.profiles)) {
+    console.error("Unrecognized vehicle profile %s; expected one of %s", profile, Object.keys(access.profiles).join(", "));
+    process.exitCode = 1;
+    return;
+}
+
+if (argv.at) {
+    try {
+        conditional.parseMoment(argv.at);
+    } catch (e) {
+        console.error(e.message);
+        process.exitCode = 1;
+        return;
+    }
+}
+
+let issuesFormat = argv.issues && (argv["issues-format"] || issueReport.detectFormat(argv.issues));
+if (issuesFormat && !(issuesFormat in issueReport.formats)) {
+    console.error("Unrecognized issue report format %s", issuesFormat);
+    process.exitCode = 1;
+    return;
+}
+
+/**
+ * {Object} Heuristics read from the configuration file, if any, with any
+ * highway classes specified on the command line taking precedence.
+ */
+let heuristics;
+try {
+    heuristics = argv.config ? config.loadConfig(argv.config) : config.resolveConfig();
+} catch (e) {
+    console.error("Invalid configuration file %s: %s", argv.config, e.message);
+    process.exitCode = 1;
+    return;
+}
+/**
+ * {Array<Object>} Design guidelines to check maneuvers against, if any.
+ */
+let guidelineTable;
+if (argv.guidelines) {
+    try {
+        guidelineTable = guidelines.loadGuidelines(argv.guidelines);
+    } catch (e) {
+        console.error("Invalid guideline file %s: %s", argv.guidelines, e.message);
+        process.exitCode = 1;
+        return;
+    }
+}
+
+if (argv["include-classes"]) {
+    heuristics.includeClasses = argv["include-classes"].split(",");
+}
+if (argv["exclude-classes"]) {
+    heuristics.excludeClasses = argv["exclude-classes"].split(",");
+}
+
+/**
+ * {Object} Criteria that each maneuver must meet to be output.
+ */
+let filters = {
+    turns: argv.turn && argv.turn.split(","),
+    kinds: argv.kind && argv.kind.split(","),
+    bbox: argv.bbox && argv.bbox.split(",").map(parseFloat),
+    timeDependent: argv["time-dependent"]
+};
+if (filters.bbox && (filters.bbox.length !== 4 || filters.bbox.some(isNaN))) {
+    console.error("Unrecognized bounding box %s; expected west,south,east,north", argv.bbox);
+    process.exitCode = 1;
+    return;
+}
+
+/**
+ * {Object} Timings and counts collected when the `--stats` option is set.
+ */
+let stats = argv.stats ? {
+    timings: {}
+} : undefined;
+
+/**
+ * Reads the input file into memory, or streams only the relevant parts of it
+ * in the case of a PBF file.
+ *
+ * @param path {String} The path to the input file.
+ * @param callback {Function} A function called with an error, if any, and the
+ *  data in the Overpass JSON format.
+ */
+function read(path, callback) {
+    if (input.detectFormat(path) === "pbf") {
+        pbf.readPBF(path, callback);
+        return;
+    }
+    
+    fs.readFile(path, (err, data) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        let results;
+        try {
+            results = input.parse(data, input.detectFormat(path, data));
+        } catch (e) {
+            callback(e);
+            return;
+        }
+        callback(null, results);
+    });
+}
+
+/**
+ * Returns whether the given maneuver meets the criteria in `filters`.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuver's nodes.
+ * @returns {Boolean} True if the maneuver should be output.
+ */
+function passesFilters(maneuver, dataset) {
+    if (filters.turns && !filters.turns.includes(maneuver.turn)) {
+        return false;
+    }
+    if (filters.kinds && !filters.kinds.includes(maneuver.kind)) {
+        return false;
+    }
+    if (filters.timeDependent && _.isEmpty(maneuver.conditionalTags)) {
+        return false;
+    }
+    if (filters.bbox) {
+        let viaNode = dataset.nodesById[maneuver.viaNode];
+        if (viaNode.lon < filters.bbox[0] || viaNode.lat < filters.bbox[1] ||
+            viaNode.lon > filters.bbox[2] || viaNode.lat > filters.bbox[3]) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Returns the maneuvers in the given state to report: those that meet the
+ * criteria in `filters` and, if design guidelines are given, that fall short
+ * of the applicable guideline. Each such maneuver's `compliance` property is
+ * set to the result of the check.
+ *
+ * @param snapshot {Object} A state object.
+ * @returns {Array<Object>} The maneuvers to report.
+ */
+function getReportedManeuvers(snapshot) {
+    let maneuvers = snapshot.maneuvers.filter(maneuver => passesFilters(maneuver, snapshot.dataset));
+    if (!guidelineTable) {
+        return maneuvers;
+    }
+    return maneuvers.filter(maneuver => {
+        maneuver.compliance = guidelines.checkCompliance(turnover.summarizeManeuver(maneuver, snapshot.dataset),
+                                                         guidelineTable);
+        return maneuver.compliance !== undefined && !maneuver.compliance.compliant;
+    });
+}
+
+/**
+ * Prints the timings and counts collected during the analysis to standard
+ * error.
+ *
+ * @param stats {Object} The statistics object passed into `getManeuvers()`.
+ */
+function printStats(stats) {
+    let counts = stats.counts;
+    console.error("%d ways, %d nodes, %d intersections, %d maneuvers", counts.ways, counts.nodes, counts.intersections, counts.maneuvers);
+    
+    let total = 0;
+    Object.keys(stats.timings).forEach(phase => {
+        let elapsed = stats.timings[phase];
+        total += elapsed;
+        console.error("%s %s ms", _.padEnd(phase, 12), elapsed.toFixed(1));
+    });
+    console.error("%s %s ms", _.padEnd("total", 12), total.toFixed(1));
+}
+
+/**
+ * Reads and analyzes the given input file.
+ *
+ * @param path {String} The path to the input file.
+ * @param issues {Array<Object>} An array to populate with any tagging issues.
+ * @param callback {Function} A function called with an error, if any, and a
+ *  state object, as described in `state.createState()`.
+ */
+function analyzeFile(path, issues, callback) {
+    let readStart = process.hrtime();
+    read(path, (err, results) => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        if (stats) {
+            let elapsed = process.hrtime(readStart);
+            stats.timings.reading = (stats.timings.reading || 0) + elapsed[0] * 1e3 + elapsed[1] / 1e6;
+        }
+        
+        callback(null, state.createState(results.elements, {
+            stats: stats,
+            issues: issues,
+            drivingSide: drivingSide,
+            detailed: argv.detailed,
+            profile: profile,
+            at: argv.at,
+            config: heuristics
+        }));
+    });
+}
+
+/**
+ * Writes the given report, tagging issues, and statistics to their
+ * destinations.
+ *
+ * @param write {Function} A function that writes the report to a stream.
+ * @param issues {Array<Object>} Tagging issues to save, if any.
+ */
+function finish(write, issues) {
+    // Output to a file if specified or to standard output otherwise.
+    let writer = outputPath ? fs.createWriteStream(outputPath) : process.stdout;
+    turnover.measure(stats, "output", () => write(writer));
+    if (outputPath) {
+        writer.end();
+    }
+    saveReports(issues);
+}
+
+/**
+ * Writes the given tagging issues and any statistics to their destinations.
+ *
+ * @param issues {Array<Object>} Tagging issues to save, if any.
+ */
+function saveReports(issues) {
+    if (argv.issues) {
+        fs.writeFileSync(argv.issues, issueReport.formatIssues(issues, issuesFormat));
+    }
+    
+    if (stats) {
+        printStats(stats);
+    }
+}
+
+/**
+ * Saves the maneuvers in the given state that pass the filters, along with
+ * the given tagging issues, to the GeoPackage output file as a new run.
+ *
+ * @param snapshot {Object} A state object.
+ * @param issues {Array<Object>} Tagging issues to save.
+ */
+function saveGeoPackage(snapshot, issues) {
+    let maneuvers = getReportedManeuvers(snapshot);
+    geopackage.writeGeoPackage(outputPath, maneuvers, snapshot.dataset, issues, {
+        input: inputPath || argv.state,
+        options: snapshot.options
+    }, err => {
+        if (err) {
+            console.error(err);
+            process.exitCode = 1;
+            return;
+        }
+        saveReports(issues);
+    });
+}
+
+/**
+ * Writes the maneuvers in the given state that pass the filters, or aggregate
+ * statistics about them, to the given stream.
+ *
+ * @param snapshot {Object} A state object.
+ * @param writer {Writable} The stream to write to.
+ */
+function writeManeuvers(snapshot, writer) {
+    let maneuvers = getReportedManeuvers(snapshot);
+    if (format === "html") {
+        writer.write(report.formatReport(maneuvers, snapshot.dataset, issues, {
+            title: inputPath || argv.state
+        }));
+        return;
+    }
+    if (!argv.summary) {
+        output.writeManeuvers(maneuvers, snapshot.dataset, format, writer, columns);
+        return;
+    }
+    
+    // Output aggregate statistics instead of individual maneuvers.
+    let summaries = maneuvers.map(maneuver => turnover.summarizeManeuver(maneuver, snapshot.dataset));
+    let groups = summary.groupSummaries(summaries, summaryOptions);
+    if (format === "json") {
+        writer.write(JSON.stringify(groups, null, 2) + "\n");
+    } else {
+        writer.write(summary.formatGroupsTSV(groups, summaryOptions.groupBy, summaryOptions.percentiles));
+    }
+}
+
+// Collect tagging issues for an HTML report or GeoPackage even if they are
+// not saved separately.
+let issues = argv.issues || ["html", "gpkg"].includes(format) ? [] : undefined;
+if (argv.apply) {
+    let currentState;
+    try {
+        currentState = state.deserializeState(fs.readFileSync(argv.state));
+        _.castArray(argv.apply).forEach(path => {
+            let changes = input.parseChange(fs.readFileSync(path));
+            let update = state.applyChange(currentState, changes, {
+                stats: stats,
+                issues: issues
+            });
+            if (stats) {
+                console.error("%s: recomputed %d maneuvers as %d maneuvers", path,
+                              update.removedManeuvers.length, update.addedManeuvers.length);
+            }
+            currentState = update.state;
+        });
+    } catch (e) {
+        console.error(e);
+        process.exitCode = 1;
+        return;
+    }
+    
+    fs.writeFileSync(argv["save-state"] || argv.state, state.serializeState(currentState));
+    if (format === "gpkg") {
+        saveGeoPackage(currentState, issues);
+        return;
+    }
+    finish(writer => writeManeuvers(currentState, writer), issues);
+    return;
+}
+
+if (argv.diff) {
+    // Only report tagging issues in the newer snapshot.
+    analyzeFile(inputPath, issues && [], (err, oldSnapshot) => {
+        if (err) {
+            console.error(err);
+            process.exitCode = 1;
+            return;
+        }
+        analyzeFile(newInputPath, issues, (err, newSnapshot) => {
+            if (err) {
+                console.error(err);
+                process.exitCode = 1;
+                return;
+            }
+            
+            oldSnapshot.maneuvers = oldSnapshot.maneuvers.filter(maneuver => passesFilters(maneuver, oldSnapshot.dataset));
+            newSnapshot.maneuvers = newSnapshot.maneuvers.filter(maneuver => passesFilters(maneuver, newSnapshot.dataset));
+            let changes = turnover.measure(stats, "diffing", () => diff.diffManeuvers(oldSnapshot, newSnapshot));
+            finish(writer => writer.write(diff.formatChanges(changes, format)), issues);
+        });
+    });
+    return;
+}
+
+analyzeFile(inputPath, issues, (err, snapshot) => {
+    if (err) {
+        console.error(err);
+        process.exitCode = 1;
+        return;
+    }
+    
+    if (argv["save-state"]) {
+        fs.writeFileSync(argv["save-state"], state.serializeState(snapshot));
+    }
+    if (format === "gpkg") {
+        saveGeoPackage(snapshot, issues);
+        return;
+    }
+    finish(writer => writeManeuvers(snapshot, writer), issues);
+});
@@ -3,15 +3,19 @@
 let _ = require("lodash");
 let turf = require("@turf/turf");
 
-let fs = require("fs");
 let process = require("process");
 
-/**
- * {Number} Maximum length in meters of the segment of a connecting way that is
- * included in the turn angle calculation between two maneuvers that are
- * candidates for linking.
- */
-const maxBearingDeltaRadius = 36;
+let access = require("./lib/access");
+let conditional = require("./lib/conditional");
+let config = require("./lib/config");
+let connectivity = require("./lib/connectivity");
+let control = require("./lib/control");
+let input = require("./lib/input");
+let intersections = require("./lib/intersections");
+let maxspeed = require("./lib/maxspeed");
+let pbf = require("./lib/pbf");
+let restrictions = require("./lib/restrictions");
+let taper = require("./lib/taper");
 
 ///**
 // * {Array<String>} Valid road classifications (highway=* tag values) ordered
@@ -35,10 +39,94 @@ const maxBearingDeltaRadius = 36;
 //];
 
 /**
- * {Object<Object>} A table mapping OpenStreetMap way IDs to the corresponding
- * way objects.
+ * {Array<String>} ISO 3166-1 codes of countries and territories in which
+ * traffic drives on the left side of the road.
+ */
+const leftHandTrafficCountries = [
+    "AG", "AI", "AU", "BB", "BD", "BM", "BN", "BS", "BT", "BW", "CY", "DM",
+    "FJ", "FK", "GB", "GD", "GG", "GY", "HK", "ID", "IE", "IM", "IN", "JE",
+    "JM", "JP", "KE", "KN", "KY", "LC", "LK", "LS", "MO", "MS", "MT", "MU",
+    "MV", "MW", "MY", "MZ", "NA", "NP", "NZ", "PG", "PK", "SB", "SC", "SG",
+    "SR", "SZ", "TC", "TH", "TL", "TO", "TT", "TZ", "UG", "VC", "VG", "VI",
+    "WS", "ZA", "ZM", "ZW"
+];
+
+/**
+ * {Object<String>} A table mapping each turn indication recognized by default
+ * to the maneuver it represents. Slight turns (such as on exit lanes) are
+ * equivalent to full turns, and other indications are ignored.
+ */
+const simpleTurns = {
+    reverse: "reverse",
+    left: "left",
+    slight_left: "left",
+    right: "right",
+    slight_right: "right"
+};
+
+/**
+ * {Array<String>} Turn indications that each represent a distinct maneuver in
+ * detailed mode.
+ */
+const detailedTurns = [
+    "reverse",
+    "sharp_left", "left", "slight_left", "merge_to_left",
+    "slight_right", "right", "sharp_right", "merge_to_right"
+];
+
+/**
+ * {Object<Number>} The ideal angle in degrees between the approach and the
+ * cross street for each kind of turn, negative to the left and positive to the
+ * right.
  */
-let waysById;
+const idealTurnAngles = {
+    sharp_left: -135,
+    left: -90,
+    slight_left: -45,
+    slight_right: 45,
+    right: 90,
+    sharp_right: 135
+};
+
+/**
+ * {WeakMap<Object, Object<Number>>} A table mapping each way to its bearings,
+ * as calculated by `getWayBearing()`, so that the bearings are only
+ * calculated once without storing them on the way itself.
+ */
+const bearingsByWay = new WeakMap();
+
+/**
+ * {WeakMap<Object, Object<Number>>} A table mapping each way to its departure
+ * bearings, as calculated by `getDepartureBearing()`.
+ */
+const departureBearingsByWay = new WeakMap();
+
+/**
+ * Returns the side of the road on which traffic drives along the given way.
+ *
+ * An explicit `driving_side` tag on the way takes precedence, followed by the
+ * given default. Otherwise, the country is inferred from an implicit speed
+ * limit tag, such as `maxspeed=GB:nsl_single`, if present.
+ *
+ * @param way {Object} The tagged way.
+ * @param defaultSide {String} "left" or "right" to override the country's
+ *  driving side, or undefined to infer it.
+ * @returns {String} "left" or "right".
+ */
+function getDrivingSide(way, defaultSide) {
+    if (way.tags.driving_side === "left" || way.tags.driving_side === "right") {
+        return way.tags.driving_side;
+    }
+    if (defaultSide) {
+        return defaultSide;
+    }
+    
+    let country = ["maxspeed", "maxspeed:type", "source:maxspeed", "zone:maxspeed", "zone:traffic"]
+        .map(tag => way.tags[tag])
+        .filter(value => value && maxspeed.isImplicit(value))
+        .map(value => value.slice(0, 2))[0];
+    return leftHandTrafficCountries.includes(country) ? "left" : "right";
+}
 
 /**
  * Returns the number of lanes in the given way going in a particular direction.
@@ -54,7 +142,9 @@ function getLaneCount(way, progression) {
     if (!laneCount) {
         laneCount = parseInt(way.tags.lanes);
         if (way.progressions.forward && way.progressions.backward) {
-            laneCount = Math.floor(laneCount / 2);
+            // The total includes any center lanes shared by both directions.
+            let bothWaysCount = parseInt(way.tags["lanes:both_ways"]) || 0;
+            laneCount = Math.floor((laneCount - bothWaysCount) / 2);
         }
     }
     return laneCount || 1;
@@ -90,23 +180,104 @@ function getTagsForProgression(tag, way, progression, laneCount) {
 /**
  * Returns the given speed expressed in meters per second.
  *
- * @param speed {String|Number} A speed tag value in kilometers per hour or
- *  miles per hour.
- * @returns {Number} The equivalent speed in meters per second.
+ * @param speed {String|Number} A speed tag value, such as `50`, `30 mph`, or
+ *  `DE:urban`, or a number of kilometers per hour.
+ * @returns {Number} The equivalent speed in meters per second, or undefined if
+ *  the value does not indicate a fixed speed limit.
  */
 function normalizeSpeed(speed) {
-    if (!speed) {
-        return speed;
-    }
-    if (typeof(speed) === "string") {
-        if (speed.endsWith(" mph")) {
-            return parseFloat(speed.replace(/ mph$/, "")) * 1609.344 / (60 * 60);
-        } else {
-            speed = parseFloat(speed);
+    return maxspeed.parseSpeed(speed);
+}
+
+/**
+ * Returns the maximum speed limit along the given way in a particular
+ * direction, preferring the advisory speed limit over the legal speed limit
+ * and the legal speed limit over the default speed limit for the type of road.
+ *
+ * @param way {Object} The tagged way.
+ * @param progression {Number} A positive number for the forward direction or a
+ *  negative number for the backward direction.
+ * @returns {Object} An object whose `speed` property is the speed limit in
+ *  meters per second and whose `source` property is "advisory", "legal", or
+ *  "implicit", or undefined if the way has no known speed limit.
+ */
+function getMaxSpeed(way, progression) {
+    /**
+     * Returns the speed indicated by a tag value, which may be a list of
+     * values, one per lane.
+     */
+    let parseTag = value => {
+        if (!value) {
+            return undefined;
         }
+        // The lanes are assumed to share a single speed limit, so use the
+        // highest one.
+        let speeds = value.split("|").map(normalizeSpeed).filter(speed => speed !== undefined);
+        return speeds.length ? _.max(speeds) : undefined;
+    };
+    
+    let advisory = parseTag(getTagsForProgression("maxspeed:advisory", way, progression));
+    if (advisory !== undefined) {
+        return {
+            speed: advisory,
+            source: "advisory"
+        };
+    }
+    
+    let legalTag = getTagsForProgression("maxspeed", way, progression);
+    let legal = parseTag(legalTag);
+    if (legal !== undefined) {
+        return {
+            speed: legal,
+            source: maxspeed.isImplicit(legalTag) ? "implicit" : "legal"
+        };
+    }
+    
+    // Fall back to a tag that indicates the type of road for the purpose of
+    // the default speed limit.
+    let implicitTag = ["maxspeed:type", "source:maxspeed", "zone:maxspeed", "zone:traffic"]
+        .map(tag => getTagsForProgression(tag, way, progression))
+        .find(tag => tag && maxspeed.isImplicit(tag));
+    let implicit = parseTag(implicitTag);
+    if (implicit !== undefined) {
+        return {
+            speed: implicit,
+            source: "implicit"
+        };
+    }
+    return undefined;
+}
+
+/**
+ * Records a problem with the tagging of the data or with this tool's
+ * interpretation of it.
+ *
+ * An issue object has the following properties:
+ *
+ * - type {String} A machine-readable identifier of the kind of issue, such as
+ *      "laneCountMismatch".
+ * - severity {String} "error" if the issue prevents a maneuver from being
+ *      analyzed, "warning" if the issue may lead to an inaccurate maneuver,
+ *      or "info" if the issue is merely unusual.
+ * - message {String} A human-readable description of the issue.
+ * - ways {Array<Number>} The IDs of the ways involved in the issue.
+ * - nodes {Array<Number>} The IDs of the nodes involved in the issue.
+ * - location {Array<Number>} The longitude and latitude of the issue.
+ *
+ * @param issues {Array<Object>} The issues found so far, or undefined to print
+ *  the issue to standard error instead.
+ * @param issue {Object} The issue to record.
+ */
+function reportIssue(issues, issue) {
+    issue = _.defaults({}, issue, {
+        ways: [],
+        nodes: []
+    });
+    if (issues) {
+        issues.push(issue);
+    } else {
+        console.warn("%s: %s", _.capitalize(issue.severity), issue.message);
     }
-    // Kilometers per hour to meters per hour
-    return speed * 1000;
 }
 
 /**
@@ -115,6 +286,10 @@ function normalizeSpeed(speed) {
  *
  * A maneuver object has the following properties:
  *
+ * - kind {String} "turnLane" for a maneuver from a lane dedicated to one
+ *      direction of travel, "centerTurnLane" for a maneuver from a center
+ *      lane shared by both directions of travel, or "mergeLane" for a lane
+ *      that ends by merging into an adjacent lane (only in detailed mode).
  * - fromWay {Number} The ID of the way representing the turn lane.
  * - progression {Number} A positive number for the forward direction or a
  *      negative number for the backward direction.
@@ -122,18 +297,67 @@ function normalizeSpeed(speed) {
  *      lane.
  * - viaNode {Number} The ID of the node representing the end of the turn lane.
  * - line {LineString} The turn lane's geometry.
- * - turn {String} The allowed turn as "reverse", "left", or "right".
+ * - lineLength {Number} The length of the turn lane in meters.
+ * - turn {String} The allowed turn as "reverse", "left", or "right". In
+ *      detailed mode, the turn may also be "sharp_left", "slight_left",
+ *      "slight_right", "sharp_right", "merge_to_left", or "merge_to_right".
  * - lanes {Number} The number of lanes that can be used for the maneuver.
+ * - dedicatedLanes {Number} The number of lanes that can only be used for the
+ *      maneuver.
+ * - sharedLanes {Number} The number of lanes that can be used for the
+ *      maneuver as well as another maneuver, such as a `left;through` lane.
+ * - restrictedLanes {Number} The number of lanes marked for the maneuver that
+ *      the vehicle profile may not use, such as bus lanes. These lanes are
+ *      not counted in `lanes`, which is 0 if every lane marked for the
+ *      maneuver is restricted.
+ * - profile {String} The vehicle profile for which lanes were counted.
  * - protected {Boolean} True if the maneuver has at least one dedicated lane
  *      subject to a lane change restriction.
  * - maxSpeed {Number} The maximum speed limit in meters per second.
+ * - maxSpeedSource {String} "advisory" if `maxSpeed` is an advisory speed
+ *      limit, "legal" if it is a posted legal speed limit, or "implicit" if it
+ *      is the default speed limit for the type of road.
+ * - segments {Array<Object>} A single segment object describing the width of
+ *      the turn lane along the way, as described in `taper.measureStorage()`,
+ *      with an additional `laneNumbers` property listing the lanes used for
+ *      the maneuver, numbered from 1 in the order of `turn:lanes`.
  *
  * @param way {Object} A way tagged with turn lanes.
  * @param progression {Number} A positive number for the forward direction or a
  *  negative number for the backward direction.
+ * @param issues {Array<Object>} An array to which any issues with the way's
+ *  tagging are added, or undefined to print them to standard error.
+ * @param options {Object} An object whose `detailed` property is true to
+ *  treat each of `detailedTurns` as a distinct maneuver instead of folding
+ *  slight turns into full turns, whose `profile` property is the vehicle
+ *  profile, a key of `access.profiles`, defaulting to "car", and whose
+ *  `moment` property is a moment object returned by
+ *  `conditional.parseMoment()` at which to evaluate conditional tags, if any.
  * @returns {Array<Object>} Turn maneuvers allowed by the way.
  */
-function getManeuversFromWay(way, progression) {
+function getManeuversFromWay(way, progression, issues, options) {
+    let detailed = options && options.detailed;
+    let profile = (options && options.profile) || "car";
+    
+    // Replace any tags with conditional values that are in effect at the given
+    // time, such as a turn restriction during rush hour.
+    if (options && options.moment) {
+        way = Object.assign({}, way, {
+            tags: conditional.applyConditions(way.tags, {
+                moment: options.moment,
+                profile: profile
+            }, (key, tag) => {
+                reportIssue(issues, {
+                    type: "unsupportedCondition",
+                    severity: "warning",
+                    message: `Way ${way.id} has unsupported condition in ${key}=${tag}`,
+                    ways: [way.id],
+                    location: getMidpoint(way.line)
+                });
+            })
+        });
+    }
+    
     // Get turn lane indications.
     let laneCount = getLaneCount(way, progression);
     let turnTags = getTagsForProgression("turn", way, progression, laneCount);
@@ -166,8 +390,13 @@ function getManeuversFromWay(way, progression) {
                 case "only_left":
                     return [true, false];
                 default:
-                    console.warn("Way %s, #%s lane has unrecognized change tag %s",
-                                 way.id, idx + 1, tag);
+                    reportIssue(issues, {
+                        type: "unrecognizedChange",
+                        severity: "warning",
+                        message: `Way ${way.id}, #${idx + 1} lane has unrecognized change tag ${tag}`,
+                        ways: [way.id],
+                        location: getMidpoint(way.line)
+                    });
                     return [true, true];
             }
         });
@@ -175,13 +404,21 @@ function getManeuversFromWay(way, progression) {
         // In reality, it may be significant whether a driver can cross the
         // double yellow line to turn across opposing traffic. However, for
         // the purposes of this analysis, focus on restrictions on changing
-        // lanes between lanes going the same direction.
+        // lanes between lanes going the same direction. Lanes are always
+        // listed from left to right, and the outer side of each outermost
+        // lane faces either opposing traffic or the curb, depending on the
+        // driving side, so neither side counts as a lane change restriction.
         _.first(changeTags)[0] = undefined;
         _.last(changeTags)[1] = undefined;
         
         if (turnTags.length !== changeTags.length) {
-            console.warn("Way %s has %s turn lanes but %s lanes in change:lanes",
-                         way.id, turnTags.length, changeTags.length);
+            reportIssue(issues, {
+                type: "laneCountMismatch",
+                severity: "error",
+                message: `Way ${way.id} has ${turnTags.length} turn lanes but ${changeTags.length} lanes in change:lanes`,
+                ways: [way.id],
+                location: getMidpoint(way.line)
+            });
             return [];
         }
     }
@@ -190,22 +427,47 @@ function getManeuversFromWay(way, progression) {
     // restrictions.
     let lanes = _.zip(turnTags, changeTags).map(pair => _.zipObject(["turn", "change"], pair));
     
-    // Classify the lanes by their turn lane indications. For the purposes of
-    // this analysis, slight turns (such as on exit lanes) are equivalent to
-    // full turns, and merge indications are irrelevant.
+    // Set aside any lanes that the vehicle profile may not use, such as bus
+    // lanes for a car.
+    let laneAccess = access.getLaneAccess(way, progression, lanes.length, profile, (key, count) => {
+        reportIssue(issues, {
+            type: "laneCountMismatch",
+            severity: "warning",
+            message: `Way ${way.id} has ${lanes.length} turn lanes but ${count} lanes in ${key}:lanes`,
+            ways: [way.id],
+            location: getMidpoint(way.line)
+        });
+    });
+    let laneWidths = taper.getLaneWidths(way, progression, lanes.length);
+    lanes.forEach((lane, idx) => {
+        lane.usable = laneAccess[idx];
+        lane.width = laneWidths[idx];
+    });
+    
+    // Classify the lanes by their turn lane indications. By default, slight
+    // turns (such as on exit lanes) are equivalent to full turns, and sharp
+    // turns and merge indications are irrelevant. In detailed mode, each
+    // indication is a separate maneuver.
+    let getTurn = detailed ?
+        (indication => detailedTurns.includes(indication) ? indication : undefined) :
+        (indication => simpleTurns[indication]);
+    let maneuverTurns = detailed ? detailedTurns : ["reverse", "left", "right"];
     let turns = {
         none: lanes.filter(lane => !lane.turn.length || lane.turn[0] === "none"),
-        reverse: lanes.filter(lane => lane.turn.includes("reverse")),
-        left: lanes.filter(lane => lane.turn.includes("left") || lane.turn.includes("slight_left")),
-        through: lanes.filter(lane => lane.turn.includes("through")),
-        right: lanes.filter(lane => lane.turn.includes("right") || lane.turn.includes("slight_right"))
+        through: lanes.filter(lane => lane.turn.includes("through"))
     };
+    let restrictedLanes = {};
+    maneuverTurns.forEach(turn => {
+        let turnLanes = lanes.filter(lane => lane.turn.some(indication => getTurn(indication) === turn));
+        turns[turn] = turnLanes.filter(lane => lane.usable);
+        restrictedLanes[turn] = turnLanes.length - turns[turn].length;
+    });
     
     /**
      * Returns whether a lane used for the given turn is subject to lane change
      * restrictions.
      *
-     * @param turn {String} The allowed turn as "reverse", "left", or "right".
+     * @param turn {String} The allowed turn, such as "left".
      * @returns {Boolean} True if a lane used for the turn is subject to lane
      *  change restrictions, other than the natural restrictions at either side
      *  of the road.
@@ -219,17 +481,14 @@ function getManeuversFromWay(way, progression) {
     };
     
     // Determine whether each turn is subject to lane change restrictions.
-    let protections = _.mapValues({
+    let protections = _.mapValues(Object.assign({
         // Is any of the unmarked lanes flanked by solid lines?
         none: turns.none.length &&
             _.findIndex(turns.none, lane => lane.change && !lane.change[0] && !lane.change[1]) !== -1,
-        reverse: turnIsProtected("reverse"),
-        left: turnIsProtected("left"),
         // Is any of the through lanes flanked by solid lines?
         through: turns.through.length &&
-            _.findIndex(turns.through, lane => lane.change && !lane.change[0] && !lane.change[1]) !== -1,
-        right: turnIsProtected("right")
-    }, (protection, turn) => {
+            _.findIndex(turns.through, lane => lane.change && !lane.change[0] && !lane.change[1]) !== -1
+    }, _.fromPairs(maneuverTurns.map(turn => [turn, turnIsProtected(turn)]))), (protection, turn) => {
         if (!turns[turn].length) {
             return undefined;
         }
@@ -249,29 +508,112 @@ function getManeuversFromWay(way, progression) {
     });
     
     // Form a line string representing the maneuver's turn lanes.
-    let maneuverCoords = turf.getCoords(way.line).concat();
-    if (progression < 0) {
-        maneuverCoords.reverse();
-    }
-    let maneuverLine = turf.lineString(maneuverCoords);
+    let maneuverLine = getDirectedLine(way, progression);
+    let maneuverLength = way.lineLength === undefined ? turf.length(maneuverLine, {
+        units: "meters"
+    }) : way.lineLength;
     
     // Get the way's maximum speed limit, preferring the advisory speed limit
     // over the legal speed limit.
-    let maxSpeed = getTagsForProgression("maxspeed:advisory", way, progression) ||
-        getTagsForProgression("maxspeed", way, progression);
+    let maxSpeed = getMaxSpeed(way, progression);
     
     // Return a single maneuver object for each turn type, except for unmarked
-    // turns and for going straight through the intersection.
-    return ["reverse", "left", "right"].filter(turn => turns[turn].length).map(turn => ({
+    // turns and for going straight through the intersection. A turn that can
+    // only be made from restricted lanes still has a maneuver, with no lanes
+    // for the vehicle profile.
+    return maneuverTurns.filter(turn => turns[turn].length || restrictedLanes[turn]).map(turn => ({
+        kind: turn.startsWith("merge_to_") ? "mergeLane" : "turnLane",
         fromWay: way.id,
         progression: progression,
         fromNode: (progression > 0 ? _.first : _.last)(way.nodes),
         viaNode: (progression > 0 ? _.last : _.first)(way.nodes),
         line: maneuverLine,
+        lineLength: maneuverLength,
         turn: turn,
         lanes: turns[turn].length,
+        // A lane is dedicated to the maneuver if all its indications are
+        // equivalent to the maneuver.
+        dedicatedLanes: turns[turn].filter(lane => lane.turn.every(indication => getTurn(indication) === turn)).length,
+        sharedLanes: turns[turn].filter(lane => lane.turn.some(indication => getTurn(indication) !== turn)).length,
+        restrictedLanes: restrictedLanes[turn],
+        profile: profile,
         protected: protections[turn],
-        maxSpeed: normalizeSpeed(maxSpeed)
+        maxSpeed: maxSpeed && maxSpeed.speed,
+        maxSpeedSource: maxSpeed && maxSpeed.source,
+        segments: [{
+            length: maneuverLength,
+            laneNumbers: turns[turn].map(lane => lanes.indexOf(lane) + 1),
+            lanes: turns[turn].length,
+            width: _.min(turns[turn].map(lane => lane.width)),
+            placement: taper.getPlacement(way, progression)
+        }]
+    }));
+}
+
+/**
+ * Returns the geometry of the given way in a particular direction.
+ *
+ * @param way {Object} A way with a `line` property.
+ * @param progression {Number} A positive number for the forward direction or a
+ *  negative number for the backward direction.
+ * @returns {LineString} The way's geometry, reversed in the backward
+ *  direction.
+ */
+function getDirectedLine(way, progression) {
+    let coords = turf.getCoords(way.line).concat();
+    if (progression < 0) {
+        coords.reverse();
+    }
+    return turf.lineString(coords);
+}
+
+/**
+ * Returns the turn maneuvers allowed from a center lane shared by both
+ * directions of the given way, such as a center two-way left turn lane tagged
+ * `lanes:both_ways=1` and `turn:lanes:both_ways=left`.
+ *
+ * Unlike a turn lane that ends at an intersection, a center turn lane runs
+ * continuously along a corridor, and a driver can turn from it onto any
+ * driveway or cross street along the way. So the maneuvers have the same
+ * properties as those returned by `getManeuversFromWay()`, except that `kind`
+ * is "centerTurnLane", `viaNode` is merely the end of the lane, `protected`
+ * is undefined, and there are no `segments`.
+ *
+ * @param way {Object} A two-way way.
+ * @param progression {Number} A positive number for the forward direction or a
+ *  negative number for the backward direction.
+ * @param issues {Array<Object>} An array to which any issues with the way's
+ *  tagging are added, or undefined to print them to standard error.
+ * @param options {Object} Options as described in `getManeuversFromWay()`.
+ * @returns {Array<Object>} Turn maneuvers allowed from the center lane in the
+ *  given direction.
+ */
+function getCenterTurnManeuversFromWay(way, progression, issues, options) {
+    if (!way.tags["turn:lanes:both_ways"] && !way.tags["turn:both_ways"]) {
+        return [];
+    }
+    
+    // Each indication applies to traffic in either direction, so the center
+    // lanes are equivalent to a way carrying only those lanes in the given
+    // direction. Replace any per-lane tags describing the other lanes with
+    // the corresponding `:both_ways` tags, so that lane access, conditional
+    // tags, and turn indications are interpreted the same way as for any
+    // other turn lane.
+    let direction = progression > 0 ? "forward" : "backward";
+    let isLaneKey = key => /(^|:)lanes(:|$)/.test(key) || /^(turn|change)(:|$)/.test(key);
+    let centerTags = _.omitBy(way.tags, (tag, key) => isLaneKey(key));
+    _.forEach(way.tags, (tag, key) => {
+        if (/:both_ways(:|$)/.test(key) && isLaneKey(key)) {
+            centerTags[key.replace(":both_ways", `:${direction}`)] = tag;
+        }
+    });
+    let centerWay = Object.assign({}, way, {
+        tags: centerTags
+    });
+    
+    return getManeuversFromWay(centerWay, progression, issues, options).map(maneuver => Object.assign(_.omit(maneuver, "segments"), {
+        kind: "centerTurnLane",
+        protected: undefined
     }));
 }
 
@@ -283,14 +625,22 @@ function getManeuversFromWay(way, progression) {
  *  negative number for the backward direction.
  * @param fromEnd {Boolean} True to measure the bearing at the end of the line;
  *  false to measure from the beginning of the line.
+ * @param length {Number} The length of the line in meters, if already known.
+ * @param radius {Number} The maximum length in meters of the segment to
+ *  measure, or undefined for the default `maxBearingDeltaRadius`.
  * @returns {Number} The absolute bearing of one end of the line.
  */
-function getBearing(line, progression, fromEnd) {
-    let length = turf.length(line, {
-        units: "meters"
-    });
+function getBearing(line, progression, fromEnd, length, radius) {
+    if (length === undefined) {
+        length = turf.length(line, {
+            units: "meters"
+        });
+    }
+    if (radius === undefined) {
+        radius = config.defaults.maxBearingDeltaRadius;
+    }
     let startOffset = 0;
-    let endOffset = Math.min(length, maxBearingDeltaRadius);
+    let endOffset = Math.min(length, radius);
     if (fromEnd) {
         startOffset = length - endOffset;
         endOffset = startOffset + endOffset;
@@ -305,6 +655,76 @@ function getBearing(line, progression, fromEnd) {
     }));
 }
 
+/**
+ * Calculates an absolute bearing at the beginning or end of a way, caching the
+ * result in `bearingsByWay` for subsequent lookups.
+ *
+ * @param way {Object} A way with `line` and `lineLength` properties.
+ * @param progression {Number} A positive number for the forward direction or a
+ *  negative number for the backward direction.
+ * @param fromEnd {Boolean} True to measure the bearing at the end of the way;
+ *  false to measure from the beginning of the way.
+ * @param radius {Number} The maximum length in meters of the segment to
+ *  measure.
+ * @returns {Number} The absolute bearing of one end of the way.
+ */
+function getWayBearing(way, progression, fromEnd, radius) {
+    let key = `${progression > 0 ? "forward" : "backward"}:${fromEnd ? "end" : "start"}:${radius}`;
+    if (!bearingsByWay.has(way)) {
+        bearingsByWay.set(way, {});
+    }
+    let bearings = bearingsByWay.get(way);
+    if (!(key in bearings)) {
+        bearings[key] = getBearing(way.line, progression, fromEnd, way.lineLength, radius);
+    }
+    return bearings[key];
+}
+
+/**
+ * Calculates an absolute bearing along a way as it leaves the given node,
+ * caching the result in `departureBearingsByWay` for subsequent lookups.
+ *
+ * @param way {Object} A way containing the node.
+ * @param nodeId {Number} The ID of a node along the way.
+ * @param progression {Number} A positive number to measure the bearing of the
+ *  part of the way after the node, traveling forward; a negative number to
+ *  measure the bearing of the part before the node, traveling backward.
+ * @param radius {Number} The maximum length in meters of the segment to
+ *  measure.
+ * @returns {Number} The absolute bearing of the way departing the node.
+ */
+function getDepartureBearing(way, nodeId, progression, radius) {
+    let key = `${nodeId}:${progression > 0 ? "forward" : "backward"}:${radius}`;
+    if (!departureBearingsByWay.has(way)) {
+        departureBearingsByWay.set(way, {});
+    }
+    let departureBearings = departureBearingsByWay.get(way);
+    if (!(key in departureBearings)) {
+        // Form a line string corresponding to the way past the node in the
+        // direction of travel.
+        let idx = way.nodes.indexOf(nodeId);
+        let coords = turf.getCoords(way.line);
+        coords = progression > 0 ? coords.slice(idx) : coords.slice(0, idx + 1);
+        departureBearings[key] = getBearing(turf.lineString(coords), progression, progression < 0, undefined, radius);
+    }
+    return departureBearings[key];
+}
+
+/**
+ * Returns the point halfway along the given line.
+ *
+ * @param line {LineString} A line, such as a way's geometry.
+ * @returns {Array<Number>} The longitude and latitude of the midpoint.
+ */
+function getMidpoint(line) {
+    let length = turf.length(line, {
+        units: "meters"
+    });
+    return turf.getCoord(turf.along(line, length / 2, {
+        units: "meters"
+    }));
+}
+
 /**
  * Returns the value wrapped within the given range (as opposed to being clamped
  * to it).
@@ -329,17 +749,19 @@ function getBearingDelta(first, second) {
  * @param maneuver {Object} The maneuver to flatten. Its `next` property must be
  *  set to the connecting maneuver, and it must have `fromWays` and
  *  `progressions` properties.
+ * @param issues {Array<Object>} An array to which any issues with the
+ *  connection are added, or undefined to print them to standard error.
  * @returns {Object} The same maneuver, flattened to incorporate the information
  *  previously set on the `next` property (which is removed).
  */
-function flattenManeuver(maneuver) {
+function flattenManeuver(maneuver, issues) {
     let next = maneuver.next;
     if (!next) {
         return;
     }
     
     // Recurse down into the next maneuver in case there's a chain of maneuvers.
-    flattenManeuver(next);
+    flattenManeuver(next, issues);
     
     console.assert(next.isConnection, "Next maneuver %o lacks isConnection property.", next.fromWay);
     
@@ -347,34 +769,51 @@ function flattenManeuver(maneuver) {
     // may mean that this tool has too aggressively linked unrelated maneuvers,
     // or it may signal a tagging error.
     if (maneuver.protected && next.protected === false) {
-        console.warn("Maneuver disallows lane changes at way %s but allows lane changes at way %s",
-                     _.last(maneuver.fromWays), next.fromWays[0]);
+        reportIssue(issues, {
+            type: "protectionLifted",
+            severity: "warning",
+            message: `Maneuver disallows lane changes at way ${_.last(maneuver.fromWays)} but allows lane changes at way ${next.fromWays[0]}`,
+            ways: [_.last(maneuver.fromWays), next.fromWays[0]],
+            nodes: [next.fromNode],
+            location: turf.getCoords(next.line)[0]
+        });
     }
     
     // If a maneuver narrows to fewer lanes before the intersection, it may mean
     // that this tool has too aggressively linked unrelated maneuvers, or it may
     // signal a tagging error.
     if (maneuver.lanes > next.lanes) {
-        console.warn("Maneuver drops %s lane(s) from %s to %s",
-                     maneuver.lanes - next.lanes, _.last(maneuver.fromWays), next.fromWays[0]);
+        reportIssue(issues, {
+            type: "droppedLanes",
+            severity: "warning",
+            message: `Maneuver drops ${maneuver.lanes - next.lanes} lane(s) from ${_.last(maneuver.fromWays)} to ${next.fromWays[0]}`,
+            ways: [_.last(maneuver.fromWays), next.fromWays[0]],
+            nodes: [next.fromNode],
+            location: turf.getCoords(next.line)[0]
+        });
     }
     
-    let length = turf.length(maneuver.line, {
-        units: "meters"
-    });
-    let nextLength = turf.length(next.line, {
-        units: "meters"
-    });
+    let length = maneuver.lineLength;
+    let nextLength = next.lineLength;
     
     // Join the two maneuvers' geometries. The resulting maneuver traverses
     // multiple ways, not all of which necessarily point in the same direction.
     maneuver.fromWays = maneuver.fromWays.concat(next.fromWays);
     maneuver.progressions = maneuver.progressions.concat(next.progressions);
+    maneuver.segments = maneuver.segments.concat(next.segments);
+    maneuver.linkMethods = maneuver.linkMethods.concat(next.linkMethods);
     maneuver.line = turf.lineString(turf.getCoords(maneuver.line).concat(turf.getCoords(next.line)));
+    maneuver.lineLength = length + nextLength;
     maneuver.viaNode = next.viaNode;
     
     // For a large intersection, the number of lanes for a turn may increase
-    // going toward the intersection.
+    // going toward the intersection. Count the dedicated, shared, and
+    // restricted lanes where the maneuver is widest.
+    if (next.lanes >= maneuver.lanes) {
+        maneuver.dedicatedLanes = next.dedicatedLanes;
+        maneuver.sharedLanes = next.sharedLanes;
+        maneuver.restrictedLanes = next.restrictedLanes;
+    }
     maneuver.lanes = Math.max(maneuver.lanes, next.lanes);
     
     // Detect the beginning of a lane change restriction, if it begins partway
@@ -393,38 +832,79 @@ function flattenManeuver(maneuver) {
         maneuver.maxSpeed = maneuver.maxSpeed || next.maxSpeed;
     }
     
+    // Note each distinct source of the speed limits along the turn lane.
+    let sources = _.compact((maneuver.maxSpeedSource || "").split(";").concat(next.maxSpeedSource));
+    maneuver.maxSpeedSource = _.uniq(sources).join(";") || undefined;
+    
     delete maneuver.next;
 }
 
-let input = process.argv[2];
-let output = process.argv[3];
-if (!input) {
-    console.error("Usage: node index.js input.json [output.csv]");
-    return;
-}
 
-fs.readFile(input, (err, data) => {
-    if (err) {
-        console.error(err);
-        return;
+/**
+ * Runs the given function, adding the time it takes to the given statistics
+ * object.
+ *
+ * @param stats {Object} An object whose `timings` property maps phase names to
+ *  elapsed times in milliseconds, or undefined to skip the measurement.
+ * @param phase {String} The name of the phase being measured.
+ * @param fn {Function} The function to run.
+ * @returns {*} The return value of `fn`.
+ */
+function measure(stats, phase, fn) {
+    if (!stats) {
+        return fn();
     }
     
+    let start = process.hrtime();
+    let result = fn();
+    let elapsed = process.hrtime(start);
+    stats.timings = stats.timings || {};
+    stats.timings[phase] = (stats.timings[phase] || 0) + elapsed[0] * 1e3 + elapsed[1] / 1e6;
+    return result;
+}
+
+/**
+ * Indexes the nodes and ways in an OpenStreetMap dataset by their IDs.
+ *
+ * Each way is also given a `line` property containing its geometry, a
+ * `lineLength` property containing its length in meters, and a `progressions`
+ * property indicating the directions in which it can be traversed.
+ *
+ * A dataset object has the following properties:
+ *
+ * - ways {Array<Object>} The ways in the dataset.
+ * - waysById {Object<Object>} A table mapping way IDs to way objects.
+ * - nodesById {Object<Object>} A table mapping node IDs to node objects.
+ * - wayIdsByNodeId {Object<Array<Number>>} A table mapping node IDs to the IDs
+ *      of the ways that contain them.
+ * - restrictionsByFromWay {Object<Array<Object>>} A table mapping way IDs to
+ *      the turn restrictions from those ways, as returned by
+ *      `parseRestriction()`.
+ * - connectivityByFromWay {Object<Array<Object>>} A table mapping way IDs to
+ *      the lane connectivity relations from those ways, as returned by
+ *      `connectivity.parseConnectivity()`.
+ *
+ * @param elements {Array<Object>} Nodes, ways, and relations in the Overpass
+ *  JSON format.
+ * @returns {Object} A dataset object.
+ */
+function indexElements(elements) {
     // Index the data by IDs.
-    let results = JSON.parse(data);
-    let elts = results.elements;
-    let ways = elts.filter(elt => elt.type === "way");
-    waysById = _.fromPairs(ways.map(way => [way.id, way]));
-    let nodes = elts.filter(elt => elt.type === "node");
+    let ways = elements.filter(elt => elt.type === "way");
+    let waysById = _.fromPairs(ways.map(way => [way.id, way]));
+    let nodes = elements.filter(elt => elt.type === "node");
     let nodesById = _.fromPairs(nodes.map(node => [node.id, node]));
+    let relations = elements.filter(elt => elt.type === "relation");
     
-    // Convert individual ways into turn maneuvers.
     let wayIdsByNodeId = {};
-    let maneuvers = [];
     ways.forEach(way => {
         // Form a line string corresponding to the way.
         let nodes = way.nodes.map(id => nodesById[id]);
         let coords = nodes.map(node => [node.lon, node.lat]);
         way.line = turf.lineString(coords);
+        way.lineLength = turf.length(way.line, {
+            units: "meters"
+        });
         
         // Index the way by the nodes it contains, making it easier to look up
         // connections.
@@ -439,261 +919,754 @@ fs.readFile(input, (err, data) => {
             forward: way.tags.oneway !== "-1",
             backward: way.tags.oneway !== "yes"
         };
+    });
+    
+    return {
+        ways: ways,
+        waysById: waysById,
+        nodesById: nodesById,
+        wayIdsByNodeId: wayIdsByNodeId,
+        restrictionsByFromWay: restrictions.indexRestrictions(relations),
+        connectivityByFromWay: connectivity.indexConnectivity(relations)
+    };
+}
+
+/**
+ * Narrows down the maneuvers that may continue the given maneuver along the
+ * next way, based on road classifications, lane change restrictions, turn
+ * angles, and names, in the absence of more authoritative evidence.
+ *
+ * @param maneuver {Object} A maneuver returned by `getManeuversFromWay()`.
+ * @param connectedManeuvers {Array<Object>} Maneuvers beginning where the
+ *  maneuver ends.
+ * @param dataset {Object} The dataset containing the maneuvers' ways.
+ * @param heuristics {Object} A configuration object returned by
+ *  `config.resolveConfig()`.
+ * @returns {Array<Object>} The remaining candidates among
+ *  `connectedManeuvers`.
+ */
+function applyLinkHeuristics(maneuver, connectedManeuvers, dataset, heuristics) {
+    let waysById = dataset.waysById;
+    let way = waysById[maneuver.fromWay];
+    connectedManeuvers = connectedManeuvers.concat();
+    
+    // Two maneuvers are not connected if...
+    _.remove(connectedManeuvers, connectedManeuver => {
+        let connectedWay = waysById[connectedManeuver.fromWay];
         
-        // A one-lane, one-way service or link way is most likely a turn
-        // channel, which would occur past the maneuver itself.
-        if ((way.tags.turn || (way.tags.lanes === "1") || (!way.tags.lanes)) &&
-            (!way.progressions.forward || !way.progressions.backward) &&
-            (way.tags.highway === "service" || way.tags.highway.includes("_link"))) {
-            return;
+        // One is on the main road and the other is on a ramp or turn
+        // channel
+        if (heuristics.turnChannelClasses.some(pattern => !config.matchesClass(way.tags.highway, pattern) &&
+                                               config.matchesClass(connectedWay.tags.highway, pattern))) {
+            return true;
         }
         
-        // Add one set of maneuvers for each direction of travel along the way.
-        let wayManeuvers = [];
-        if (way.progressions.forward) {
-            let forwardManeuvers = getManeuversFromWay(way, 1);
-            wayManeuvers = wayManeuvers.concat(forwardManeuvers);
-        }
-        if (way.progressions.backward) {
-            let backwardManeuvers = getManeuversFromWay(way, -1);
-            wayManeuvers = wayManeuvers.concat(backwardManeuvers);
+        // A lane change restriction ends after the first maneuver
+        return maneuver.protected && connectedManeuver.protected === false;
+    });
+    
+    // Calculate a turn angle between the maneuver and each of the connected
+    // maneuvers.
+    let bearing = getWayBearing(way, maneuver.progression, maneuver.progression > 0,
+                                heuristics.maxBearingDeltaRadius);
+    let bearingDeltas = connectedManeuvers.map(connectedManeuver => {
+        let connectedWay = waysById[connectedManeuver.fromWay];
+        let connectedBearing = getWayBearing(connectedWay, connectedManeuver.progression,
+                                             connectedManeuver.progression < 0,
+                                             heuristics.maxBearingDeltaRadius);
+        //console.log(maneuver.fromWay, bearing, connectedManeuver.fromWay, connectedBearing);
+        return getBearingDelta(bearing, connectedBearing);
+    });
+    
+    //bearingDeltas.forEach((delta, idx) => {
+    //    if (Math.abs(delta) > 45) {
+    //        let connectedManeuver = connectedManeuvers[idx];
+    //        console.warn("Removing", maneuver.fromWay, bearing, connectedManeuver.fromWay, delta);
+    //    }
+    //});
+    
+    // Two maneuvers are not connected if they're over 45 degrees apart (in
+    // which case the connected maneuver is probably on a cross street).
+    // (Most connections are 30 degrees or less apart, but a bigger
+    // difference may occur where a divided road begins at the
+    // intersection.)
+    _.remove(connectedManeuvers, (connectedManeuver, idx) => Math.abs(bearingDeltas[idx]) > heuristics.maxLinkAngle);
+    
+    // The maneuver can only be merged with a single maneuver at the same
+    // node. If multiple candidates remain, prefer one with the same road
+    // classification.
+    if (connectedManeuvers.length > 1) {
+        let sameClassManeuvers = connectedManeuvers.filter(connectedManeuver => {
+            let connectedWay = waysById[connectedManeuver.fromWay];
+            return connectedWay.tags.highway === way.tags.highway;
+        });
+        if (sameClassManeuvers.length) {
+            connectedManeuvers = sameClassManeuvers;
         }
-        if (wayManeuvers.length) {
-            maneuvers = maneuvers.concat(wayManeuvers);
+    }
+    
+    // If still multiple candidates remain, prefer one with the same name.
+    if (connectedManeuvers.length > 1) {
+        let sameNamedManeuvers = connectedManeuvers.filter(connectedManeuver => {
+            let connectedWay = waysById[connectedManeuver.fromWay];
+            let connectedName = getTagsForProgression("name", connectedWay,
+                                                      connectedManeuver.progression,
+                                                      connectedManeuver.lanes);
+            let name = getTagsForProgression("name", way, maneuver.progression, maneuver.lanes);
+            return connectedName === name;
+        });
+        if (sameNamedManeuvers.length) {
+            connectedManeuvers = sameNamedManeuvers;
         }
-    });
+    }
+    
+    return connectedManeuvers;
+}
+
+/**
+ * Links each maneuver to the maneuver, if any, that continues it along the
+ * next way.
+ *
+ * A lane connectivity relation or matching `destination:lanes` tags on both
+ * ways are authoritative evidence that one turn lane continues into another,
+ * as described in `connectivity.getLinkEvidence()`. Where there is no such
+ * evidence, the maneuvers are linked based on `applyLinkHeuristics()`.
+ *
+ * A linked maneuver has its `next` property set to the connecting maneuver
+ * and its `linkMethod` property set to "connectivity", "destination", or
+ * "heuristic", and the connecting maneuver has its `isConnection` property
+ * set to true.
+ *
+ * @param maneuvers {Array<Object>} Maneuvers returned by
+ *  `getManeuversFromWay()`.
+ * @param dataset {Object} The dataset containing the maneuvers' ways.
+ * @param issues {Array<Object>} An array to which any ambiguous connections
+ *  are added, or undefined to print them to standard error.
+ * @param heuristics {Object} A configuration object returned by
+ *  `config.resolveConfig()`.
+ */
+function linkManeuvers(maneuvers, dataset, issues, heuristics) {
+    // Index the maneuvers by the nodes at which they begin, so that connecting
+    // maneuvers can be found without searching every maneuver.
+    let maneuversByFromNode = _.groupBy(maneuvers, "fromNode");
     
-    // Link up maneuvers that traverse multiple ways.
     maneuvers.forEach(maneuver => {
-        // Two maneuvers are connected if they...
-        let connectedManeuvers = maneuvers.filter(otherManeuver =>
-            // Share a node
-            otherManeuver.fromNode === maneuver.viaNode &&
+        // Two maneuvers are connected if they share a node and...
+        let connectedManeuvers = (maneuversByFromNode[maneuver.viaNode] || []).filter(otherManeuver =>
             // Are distinct ways (so not two sides of the same road)
             otherManeuver.fromWay !== maneuver.fromWay &&
             // Turn the same way (so not a left followed by a right)
-            otherManeuver.turn === maneuver.turn
+            otherManeuver.turn === maneuver.turn &&
+            // Use the same kind of lane (so not a center turn lane followed
+            // by a dedicated turn lane)
+            otherManeuver.kind === maneuver.kind
         );
         
-        // Two maneuvers are not connected if...
-        let way = waysById[maneuver.fromWay];
-        _.remove(connectedManeuvers, connectedManeuver => {
-            let connectedWay = waysById[connectedManeuver.fromWay];
-            
-            // One is on the main road and the other is on a ramp or turn
-            // channel
-            if ((way.tags.highway !== "service" && connectedWay.tags.highway === "service") ||
-                (!way.tags.highway.includes("_link") && connectedWay.tags.highway.includes("_link"))) {
-                return true;
-            }
-            
-            // A lane change restriction ends after the first maneuver
-            return maneuver.protected && connectedManeuver.protected === false;
-        });
-        
-        // Calculate a turn angle between the maneuver and each of the connected
-        // maneuvers.
-        let bearing = getBearing(way.line, maneuver.progression, maneuver.progression > 0);
-        let bearingDeltas = connectedManeuvers.map(connectedManeuver => {
-            let connectedWay = waysById[connectedManeuver.fromWay];
-            let connectedBearing = getBearing(connectedWay.line, connectedManeuver.progression,
-                                              connectedManeuver.progression < 0);
-            //console.log(maneuver.fromWay, bearing, connectedManeuver.fromWay, connectedBearing);
-            return getBearingDelta(bearing, connectedBearing);
-        });
-        
-        //bearingDeltas.forEach((delta, idx) => {
-        //    if (Math.abs(delta) > 45) {
-        //        let connectedManeuver = connectedManeuvers[idx];
-        //        console.warn("Removing", maneuver.fromWay, bearing, connectedManeuver.fromWay, delta);
-        //    }
-        //});
-        
-        // Two maneuvers are not connected if they're over 45 degrees apart (in
-        // which case the connected maneuver is probably on a cross street).
-        // (Most connections are 30 degrees or less apart, but a bigger
-        // difference may occur where a divided road begins at the
-        // intersection.)
-        _.remove(connectedManeuvers, (connectedManeuver, idx) => Math.abs(bearingDeltas[idx]) > 45);
-        
-        // The maneuver can only be merged with a single maneuver at the same
-        // node. If multiple candidates remain, prefer one with the same road
-        // classification.
-        if (connectedManeuvers.length > 1) {
-            let sameClassManeuvers = connectedManeuvers.filter(connectedManeuver => {
-                let connectedWay = waysById[connectedManeuver.fromWay];
-                return connectedWay.tags.highway === way.tags.highway;
-            });
-            if (sameClassManeuvers.length) {
-                connectedManeuvers = sameClassManeuvers;
-            }
+        // Prefer any maneuvers that the lane connectivity or destinations
+        // show to be connected, and rule out any that they show not to be.
+        let evidence = new Map(connectedManeuvers.map(connectedManeuver => {
+            let linkEvidence = maneuver.segments && connectedManeuver.segments &&
+                connectivity.getLinkEvidence(dataset, maneuver, connectedManeuver);
+            return [connectedManeuver, linkEvidence];
+        }));
+        let isConfirmed = connectedManeuver => evidence.get(connectedManeuver) &&
+            evidence.get(connectedManeuver).isLinked;
+        let confirmedManeuvers = connectedManeuvers.filter(isConfirmed);
+        if (confirmedManeuvers.length === 1) {
+            connectedManeuvers = confirmedManeuvers;
+        } else {
+            // Fall back to heuristics to choose among the confirmed maneuvers
+            // or, failing that, among the maneuvers lacking any evidence.
+            let candidates = confirmedManeuvers.length ? confirmedManeuvers :
+                connectedManeuvers.filter(connectedManeuver => !evidence.get(connectedManeuver));
+            connectedManeuvers = applyLinkHeuristics(maneuver, candidates, dataset, heuristics);
         }
         
-        // If still multiple candidates remain, prefer one with the same name.
+        // If still multiple candidates remain, there may be a tagging error.
         if (connectedManeuvers.length > 1) {
-            let sameNamedManeuvers = connectedManeuvers.filter(connectedManeuver => {
-                let connectedWay = waysById[connectedManeuver.fromWay];
-                let connectedName = getTagsForProgression("name", connectedWay,
-                                                          connectedManeuver.progression,
-                                                          connectedManeuver.lanes);
-                let name = getTagsForProgression("name", way, maneuver.progression, maneuver.lanes);
-                return connectedName === name;
+            let connectedWayIds = connectedManeuvers.map(connectedManeuver => connectedManeuver.fromWay);
+            reportIssue(issues, {
+                type: "ambiguousManeuver",
+                severity: "warning",
+                message: `Ambiguous ${maneuver.turn} maneuver from way ${maneuver.fromWay} via one of ways ${connectedWayIds.join(", ")}`,
+                ways: [maneuver.fromWay].concat(connectedWayIds),
+                nodes: [maneuver.viaNode],
+                location: _.last(turf.getCoords(maneuver.line))
             });
-            if (sameNamedManeuvers.length) {
-                connectedManeuvers = sameNamedManeuvers;
-            }
         }
         
-        // If still multiple candidates remain, there may be a tagging error.
-        console.assert(connectedManeuvers.length < 2,
-                       "Ambiguous maneuver from %o via one of %o with bearing deltas %s",
-                       maneuver, connectedManeuvers, bearingDeltas);
-        
         // Link the maneuver to the only remaining connecting maneuver.
         if (connectedManeuvers.length) {
             maneuver.next = connectedManeuvers[0];
+            maneuver.linkMethod = isConfirmed(connectedManeuvers[0]) ? evidence.get(connectedManeuvers[0]).method :
+                "heuristic";
             connectedManeuvers[0].isConnection = true;
         }
     });
+}
+
+/**
+ * Returns a phrase describing the given turn, for use in messages.
+ *
+ * @param turn {String} A turn as "reverse", "left", "right", or "through".
+ * @returns {String} A phrase such as "a left turn".
+ */
+function describeTurn(turn) {
+    switch (turn) {
+        case "reverse":
+            return "a U-turn";
+        case "through":
+            return "going straight";
+        default:
+            return `a ${turn.replace("_", " ")} turn`;
+    }
+}
+
+/**
+ * Returns the cross street that the given maneuver turns onto.
+ *
+ * A lane connectivity relation or a `destination:lanes` tag naming one of the
+ * candidates is authoritative evidence of the cross street, as described in
+ * `connectivity.getCrossStreetEvidence()`. Otherwise, the cross street is
+ * chosen based on any turn restriction that only allows the turn onto one
+ * road or that prohibits the turn onto the road it would otherwise lead onto,
+ * or based on the turn angles to each candidate.
+ *
+ * @param maneuver {Object} A flattened maneuver.
+ * @param dataset {Object} The dataset containing the maneuver's ways.
+ * @param issues {Array<Object>} An array to which any unusual turns are added,
+ *  or undefined to print them to standard error.
+ * @param heuristics {Object} A configuration object returned by
+ *  `config.resolveConfig()`.
+ * @param defaultDrivingSide {String} "left" or "right" to set the side of the
+ *  road on which traffic drives, unless the way is tagged with
+ *  `driving_side`, or undefined to infer it from the way's tags, as
+ *  described in `getDrivingSide()`.
+ * @returns {Object} An object whose `id` property is the ID of the way onto
+ *  which the maneuver turns, whose `method` property is "connectivity",
+ *  "destination", "restriction", or "heuristic", and whose `angle` property
+ *  is the turn angle in degrees, or undefined if no suitable way was found.
+ */
+function findCrossStreet(maneuver, dataset, issues, heuristics, defaultDrivingSide) {
+    let waysById = dataset.waysById;
+    let wayIdsByNodeId = dataset.wayIdsByNodeId;
+    
+    let viaNodeId = maneuver.viaNode;
+    let viaLocation = _.last(turf.getCoords(maneuver.line));
+    // Turn restrictions make no distinction between slight, sharp, and full
+    // turns.
+    let restrictedTurn = maneuver.turn.replace(/^(slight|sharp)_/, "");
+    let drivingSide = getDrivingSide(waysById[_.last(maneuver.fromWays)], defaultDrivingSide);
     
-    // Prepare the maneuvers to be merged. From this point onward, a maneuver
-    // is assumed to traverse multiple ways, not necessarily in the same
-    // direction along all of them.
-    maneuvers = maneuvers.map(maneuver => {
-        maneuver.fromWays = [maneuver.fromWay];
-        maneuver.progressions = [maneuver.progression];
-        delete maneuver.fromWay;
-        delete maneuver.progression;
-        return maneuver;
+    // Gather candidate cross streets based on intersecting nodes anywhere in
+    // the intersection, which spans both carriageways of a divided road. Each
+    // candidate must have at least one node beyond the intersection, without
+    // merely traversing the median.
+    let departures = _.flatMap(intersections.getNodeIds(dataset.intersections, viaNodeId), nodeId => {
+        let crossingWays = (wayIdsByNodeId[nodeId] || []).map(id => waysById[id]);
+        let forwardDepartures = crossingWays
+            .filter(way => way.progressions.forward && way.nodes.indexOf(nodeId) !== way.nodes.length - 1)
+            .map(way => ({
+                way: way,
+                nodeId: nodeId,
+                progression: 1
+            }));
+        let backwardDepartures = crossingWays
+            .filter(way => way.progressions.backward && way.nodes.indexOf(nodeId) !== 0)
+            .map(way => ({
+                way: way,
+                nodeId: nodeId,
+                progression: -1
+            }));
+        return forwardDepartures.concat(backwardDepartures).filter(departure =>
+            !intersections.isInternal(dataset.intersections, departure.way, departure.nodeId, departure.progression));
     });
     
-    // Flatten the maneuver array so that each item represents one maneuver
-    // traversing as many ways as necessary.
-    maneuvers = maneuvers.filter(maneuver => !maneuver.isConnection);
-    maneuvers.forEach(flattenManeuver);
+    // Calculate a turn angle between the maneuver and each of the candidate
+    // crossing ways, measuring each way past the junction in the direction of
+    // travel.
+    let bearing = getBearing(maneuver.line, 1 /* maneuver.line was reversed in getManeuversFromWay() */, true,
+                             maneuver.lineLength, heuristics.maxBearingDeltaRadius);
+    let crossingWaysWithDeltas = departures.map(departure => {
+        let crossingBearing = getDepartureBearing(departure.way, departure.nodeId, departure.progression,
+                                                  heuristics.maxBearingDeltaRadius);
+        return [departure.way, getBearingDelta(bearing, crossingBearing)];
+    });
     
-    // Find the cross street that each maneuver turns onto.
-    maneuvers.forEach(maneuver => {
-        let viaNodeId = maneuver.viaNode;
-        let viaNode = nodesById[viaNodeId];
-        let viaPoint = turf.point([viaNode.lon, viaNode.lat]);
-        
-        // Gather candidate cross streets based on intersecting nodes. Each
-        // candidate must have at least one node beyond the intersection.
-        let forwardCrossingWays = (wayIdsByNodeId[viaNodeId] || []).map(id => waysById[id])
-            .filter(way => way.progressions.forward && way.nodes.indexOf(viaNodeId) !== way.nodes.length - 1);
-        let backwardCrossingWays = (wayIdsByNodeId[viaNodeId] || []).map(id => waysById[id])
-            .filter(way => way.progressions.backward && way.nodes.indexOf(viaNodeId) !== 0);
-        
-        // Calculate a turn angle between the maneuver and each of the candidate
-        // crossing ways.
-        let bearing = getBearing(maneuver.line, 1 /* maneuver.line was reversed in getManeuversFromWay() */, true);
-        let forwardBearingDeltas = forwardCrossingWays.map(crossingWay => {
-            // Form a line string corresponding to the way past the intersection.
-            let endNode = nodesById[_.last(crossingWay.nodes)];
-            let endPoint = turf.point([endNode.lon, endNode.lat]);
-            let crossingLine = turf.lineSlice(viaPoint, endPoint, crossingWay.line);
-            
-            let crossingBearing = getBearing(crossingLine, 1, false);
-            return getBearingDelta(bearing, crossingBearing);
-        });
-        let backwardBearingDeltas = backwardCrossingWays.map(crossingWay => {
-            // Form a line string corresponding to the way up to the intersection.
-            let startNode = nodesById[crossingWay.nodes[0]];
-            let startPoint = turf.point([startNode.lon, startNode.lat]);
-            let crossingLine = turf.lineSlice(startPoint, viaPoint, crossingWay.line);
-            
-            let crossingBearing = getBearing(crossingLine, -1, true);
-            return getBearingDelta(bearing, crossingBearing);
-        });
-        
-        // Gather together candidates that travel on the forward and backward
-        // directions of the respective ways, along with their turn angles.
-        let crossingWays = forwardCrossingWays.concat(backwardCrossingWays);
-        let bearingDeltas = forwardBearingDeltas.concat(backwardBearingDeltas);
-        console.assert(crossingWays.length == bearingDeltas.length);
-        let crossingWaysWithDeltas = _.zip(crossingWays, bearingDeltas);
-        
-        // Find the candidate that has the most ideal (not slight, not sharp,
-        // not backwards) turn angle.
-        let crossingWay;
+    /**
+     * Returns the candidate that has the most ideal (not slight, not sharp,
+     * not backwards) turn angle.
+     *
+     * @param candidates {Array<Array>} Pairs of crossing ways and turn angles.
+     * @returns {Array} The pair containing the most likely cross street.
+     */
+    let chooseCandidate = candidates => {
         switch (maneuver.turn) {
-            case "reverse":
-                // The ideal U-turn angle is 180 degrees. However, on a divided
-                // road, a U-turn is effectively a left or right turn, depending
-                // which side of the road the region drives on.
-                crossingWay = _.maxBy(crossingWaysWithDeltas.filter(wayWithDelta => Math.abs(wayWithDelta[1]) > 30),
-                                      wayWithDelta => Math.abs(wayWithDelta[1]));
-                crossingWay = crossingWay && crossingWay[0];
-                break;
-            case "left":
-                // The ideal left turn angle is around -90 degrees. Express the
-                // turn angles relative to the ideal, the find the one that
-                // deviates the least. Exclude any obvious U-turns.
-                crossingWay = _.minBy(crossingWaysWithDeltas.filter(wayWithDelta => Math.abs(wayWithDelta[1]) < 150),
-                                      wayWithDelta => Math.abs(wrap(wayWithDelta[1] + 90, -180, 180)));
-                if (crossingWay && Math.abs(wrap(crossingWay[1] + 90, -180, 180)) > 90) {
-                    console.log("Unusually sharp left turn from way %s onto %s at %s",
-                                _.last(maneuver.fromWays), crossingWay[0].id, viaNodeId);
-                }
-                crossingWay = crossingWay && crossingWay[0];
-                break;
-            case "right":
-                // The ideal right turn angle is around +90 degrees. Express the
+            case "reverse": {
+                // The ideal U-turn angle is 180 degrees. The intersection
+                // includes the opposite carriageway of a divided road, but if
+                // the median crossing is mapped as a separate road, the U-turn
+                // is effectively a left or right turn, depending which side of
+                // the road the region drives on. Prefer turns across opposing
+                // traffic: to the left (negative angles) when driving on the
+                // right, or to the right when driving on the left.
+                let uTurnSign = drivingSide === "right" ? -1 : 1;
+                candidates = candidates.filter(wayWithDelta => Math.abs(wayWithDelta[1]) > heuristics.minUTurnAngle);
+                let acrossTraffic = candidates.filter(wayWithDelta => Math.abs(wayWithDelta[1]) > heuristics.maxTurnAngle ||
+                                                      Math.sign(wayWithDelta[1]) === uTurnSign);
+                return _.maxBy(acrossTraffic.length ? acrossTraffic : candidates,
+                               wayWithDelta => Math.abs(wayWithDelta[1]));
+            }
+            default:
+                // The ideal left turn angle is around -90 degrees, and the
+                // ideal right turn angle is around +90 degrees. Express the
                 // turn angles relative to the ideal, the find the one that
                 // deviates the least. Exclude any obvious U-turns.
-                crossingWay = _.minBy(crossingWaysWithDeltas.filter(wayWithDelta => Math.abs(wayWithDelta[1]) < 150),
-                                      wayWithDelta => Math.abs(wrap(wayWithDelta[1] - 90, -180, 180)));
-                if (crossingWay && Math.abs(wrap(crossingWay[1] - 90, -180, 180)) > 90) {
-                    console.log("Unusually sharp right turn from way %s onto %s at %s",
-                                _.last(maneuver.fromWays), crossingWay[0].id, viaNodeId);
-                }
-                crossingWay = crossingWay && crossingWay[0];
-                break;
+                return _.minBy(candidates.filter(wayWithDelta => Math.abs(wayWithDelta[1]) < heuristics.maxTurnAngle),
+                               wayWithDelta => Math.abs(wrap(wayWithDelta[1] - idealTurnAngles[maneuver.turn], -180, 180)));
         }
-        
-        if (crossingWay) {
-            maneuver.toWay = crossingWay.id;
+    };
+    
+    // Narrow down the candidates based on any lane connectivity relations or
+    // lane destinations, ruling out any cross street that the turn lanes are
+    // known not to lead onto.
+    let fromWayId = _.last(maneuver.fromWays);
+    let method = "heuristic";
+    let lastSegment = _.last(maneuver.segments);
+    if (lastSegment) {
+        let evidenceByWayId = connectivity.getCrossStreetEvidence(dataset, fromWayId, _.last(maneuver.progressions),
+                                                                  lastSegment.laneNumbers, viaNodeId,
+                                                                  _.uniq(departures.map(departure => departure.way.id)));
+        let confirmedCandidates = crossingWaysWithDeltas.filter(wayWithDelta => evidenceByWayId[wayWithDelta[0].id] &&
+                                                                 evidenceByWayId[wayWithDelta[0].id].isLinked);
+        if (confirmedCandidates.length) {
+            crossingWaysWithDeltas = confirmedCandidates;
+            method = evidenceByWayId[confirmedCandidates[0][0].id].method;
         } else {
-            console.warn("Way %s has no road to turn %s onto at %s",
-                         _.last(maneuver.fromWays), maneuver.turn, viaNodeId);
+            crossingWaysWithDeltas = crossingWaysWithDeltas.filter(wayWithDelta => !evidenceByWayId[wayWithDelta[0].id]);
+        }
+    }
+    
+    // Narrow down the candidates based on any turn restrictions from the last
+    // way of the maneuver at the intersection.
+    restrictions.getApplicableRestrictions(dataset, fromWayId, viaNodeId).forEach(restriction => {
+        let targetWayIds = restrictions.getTargetWays(restriction, dataset);
+        let isTargeted = wayWithDelta => targetWayIds.includes(wayWithDelta[0].id);
+        if (restriction.kind === "only" && restriction.turn === restrictedTurn) {
+            // The restriction explicitly identifies the cross street.
+            let allowedCandidates = crossingWaysWithDeltas.filter(isTargeted);
+            if (allowedCandidates.length) {
+                crossingWaysWithDeltas = allowedCandidates;
+                if (method === "heuristic") {
+                    method = "restriction";
+                }
+            }
+        } else if (restriction.kind === "only") {
+            // The lane markings allow a turn that the restriction prohibits.
+            reportIssue(issues, {
+                type: "restrictionConflict",
+                severity: "warning",
+                message: `Way ${fromWayId} is marked for ${describeTurn(maneuver.turn)} at ${viaNodeId}, but relation ${restriction.id} only allows ${describeTurn(restriction.turn)}`,
+                ways: [fromWayId],
+                nodes: [viaNodeId],
+                location: viaLocation
+            });
+        } else if (restriction.turn === restrictedTurn) {
+            // The restriction rules out the cross street that the turn would
+            // otherwise seem to lead onto, so the turn must lead onto another
+            // cross street. If there is none, the lane markings allow a turn
+            // that the restriction prohibits.
+            let likelyCandidate = chooseCandidate(crossingWaysWithDeltas);
+            let allowedCandidates = crossingWaysWithDeltas.filter(wayWithDelta => !isTargeted(wayWithDelta));
+            if (likelyCandidate && isTargeted(likelyCandidate) && chooseCandidate(allowedCandidates)) {
+                crossingWaysWithDeltas = allowedCandidates;
+                if (method === "heuristic") {
+                    method = "restriction";
+                }
+            } else if (likelyCandidate && isTargeted(likelyCandidate)) {
+                reportIssue(issues, {
+                    type: "restrictionConflict",
+                    severity: "warning",
+                    message: `Way ${fromWayId} is marked for ${describeTurn(maneuver.turn)} onto ${likelyCandidate[0].id} at ${viaNodeId}, but relation ${restriction.id} prohibits it`,
+                    ways: [fromWayId, likelyCandidate[0].id],
+                    nodes: [viaNodeId],
+                    location: viaLocation
+                });
+            }
         }
     });
     
-    // Output a tab-delimited representation of each maneuver.
-    let writer = output && fs.createWriteStream(output);
-    maneuvers.forEach(maneuver => {
-        let lastWay = waysById[_.last(maneuver.fromWays)];
-        let length = turf.length(maneuver.line, {
-            units: "meters"
+    // Authoritative evidence may identify a cross street at an angle that the
+    // heuristics would otherwise rule out.
+    let crossingWay = chooseCandidate(crossingWaysWithDeltas) ||
+        (method === "heuristic" ? undefined : crossingWaysWithDeltas[0]);
+    if (crossingWay && maneuver.turn !== "reverse" &&
+        Math.abs(wrap(crossingWay[1] - idealTurnAngles[maneuver.turn], -180, 180)) > 90) {
+        reportIssue(issues, {
+            type: "sharpTurn",
+            severity: "info",
+            message: `Unusually sharp ${maneuver.turn.replace("_", " ")} turn from way ${fromWayId} onto ${crossingWay[0].id} at ${viaNodeId}`,
+            ways: [fromWayId, crossingWay[0].id],
+            nodes: [viaNodeId],
+            location: viaLocation
         });
+    }
+    if (!crossingWay) {
+        reportIssue(issues, {
+            type: "missingCrossStreet",
+            severity: "warning",
+            message: `Way ${fromWayId} has no road to turn ${maneuver.turn.replace("_", " ")} onto at ${viaNodeId}`,
+            ways: [fromWayId],
+            nodes: [viaNodeId],
+            location: viaLocation
+        });
+    }
+    return crossingWay && {
+        id: crossingWay[0].id,
+        method: method,
+        angle: crossingWay[1]
+    };
+}
+
+/**
+ * Returns the flattened turn maneuvers in the given dataset.
+ *
+ * In addition to the properties documented in `getManeuversFromWay()`, each
+ * flattened maneuver has the following properties:
+ *
+ * - fromWays {Array<Number>} The IDs of the ways traversed by the turn lane,
+ *      in the direction of travel.
+ * - progressions {Array<Number>} The direction of travel along each of the
+ *      ways in `fromWays`.
+ * - protectionNode {Number} The ID of the node at which a lane change
+ *      restriction begins partway along the turn lane.
+ * - toWay {Number} The ID of the cross street onto which the maneuver turns.
+ * - crossStreetMethod {String} How the cross street was identified:
+ *      "connectivity", "destination", "restriction", or "heuristic", as
+ *      described in `findCrossStreet()`.
+ * - turnAngle {Number} The angle in degrees between the end of the turn lane
+ *      and the beginning of the cross street, negative for a turn to the
+ *      left, as calculated by `getBearingDelta()`.
+ * - linkMethods {Array<String>} How each way along the turn lane was linked
+ *      to the next: "connectivity", "destination", or "heuristic", as
+ *      described in `linkManeuvers()`.
+ * - intersection {Number} The ID of the intersection at the end of the turn
+ *      lane, shared by all the maneuvers that approach the intersection. The
+ *      ID is that of the intersection's lowest-numbered junction node, as
+ *      described in `intersections.clusterIntersections()`.
+ * - control {String} The traffic control at the end of the turn lane, such as
+ *      "traffic_signals" or "stop", as described in `control.getControl()`.
+ * - conditionalTags {Array<String>} The keys of any conditional tags along the
+ *      turn lane that may change the maneuver over time, such as
+ *      `turn:lanes:conditional`.
+ *
+ * The following options are supported:
+ *
+ * - stats {Object} An object to populate with the time in milliseconds spent
+ *      in each phase of the analysis (as `timings`) and the number of ways,
+ *      nodes, and maneuvers analyzed (as `counts`).
+ * - issues {Array<Object>} An array to populate with any issues found in the
+ *      data, as described in `reportIssue()`. If this option is unset, issues
+ *      are printed to standard error.
+ * - drivingSide {String} "left" or "right" to set the side of the road on
+ *      which traffic drives, except on ways tagged with `driving_side`. If
+ *      this option is unset, the driving side is inferred from the ways' tags
+ *      or is assumed to be on the right.
+ * - detailed {Boolean} True to keep slight, sharp, and merge indications as
+ *      distinct maneuvers, as described in `getManeuversFromWay()`.
+ * - profile {String} The vehicle profile for which to count lanes, a key of
+ *      `access.profiles` such as "bus". Lanes that the profile may not use,
+ *      according to tags such as `access:lanes` and `bus:lanes`, are counted
+ *      as restricted lanes instead. If this option is unset, lanes are
+ *      counted for cars.
+ * - at {String|Date} The local date and time at which to evaluate
+ *      conditional tags such as `turn:lanes:conditional` and
+ *      `maxspeed:conditional`, as described in `conditional.parseMoment()`.
+ *      If this option is unset, conditional tags are ignored.
+ * - config {Object} Heuristics overriding any of those in `config.defaults`,
+ *      such as an object returned by `config.loadConfig()`.
+ * - ways {Array<Object>} The ways in the dataset from which to derive
+ *      maneuvers, such as the ways affected by a change. If this option is
+ *      unset, all the ways in the dataset are analyzed.
+ *
+ * @param dataset {Object} A dataset object returned by `indexElements()`. Its
+ *  `intersections` property is set to the intersections object returned by
+ *  `intersections.clusterIntersections()`, unless the dataset has already
+ *  been grouped using the same `maxInternalLength`.
+ * @param options {Object} Options that affect the analysis.
+ * @returns {Array<Object>} Flattened turn maneuvers.
+ */
+function getManeuvers(dataset, options) {
+    let stats = options && options.stats;
+    let issues = options && options.issues;
+    let drivingSide = options && options.drivingSide;
+    let wayOptions = {
+        detailed: options && options.detailed,
+        profile: (options && options.profile) || "car",
+        moment: options && options.at !== undefined ? conditional.parseMoment(options.at) : undefined
+    };
+    let heuristics = config.resolveConfig(options && options.config);
+    let ways = (options && options.ways) || dataset.ways;
+    
+    // Convert individual ways into turn maneuvers.
+    let maneuvers = [];
+    measure(stats, "maneuvers", () => ways.forEach(way => {
+        // A one-lane, one-way service or link way is most likely a turn
+        // channel, which would occur past the maneuver itself.
+        if ((way.tags.turn || (way.tags.lanes === "1") || (!way.tags.lanes)) &&
+            (!way.progressions.forward || !way.progressions.backward) &&
+            heuristics.turnChannelClasses.some(pattern => config.matchesClass(way.tags.highway, pattern))) {
+            return;
+        }
         
-        // If only part of the maneuver is subject to lane change restrictions,
-        // determine the length of that part.
-        let protectedLength;
-        if (maneuver.protectionNode) {
-            let protectionNode = nodesById[maneuver.protectionNode];
-            let viaNode = nodesById[maneuver.viaNode];
-            let protectedLine = turf.lineSlice(turf.point([protectionNode.lon, protectionNode.lat]),
-                                               turf.point([viaNode.lon, viaNode.lat]),
-                                               maneuver.line);
-            protectedLength = turf.length(protectedLine, {
-                units: "meters"
-            });
+        if (!config.isIncludedClass(way.tags.highway, heuristics)) {
+            return;
         }
         
-        let toWay = waysById[maneuver.toWay];
-        let toClass = toWay && toWay.tags.highway;
+        // Add one set of maneuvers for each direction of travel along the way.
+        if (way.progressions.forward) {
+            let forwardManeuvers = getManeuversFromWay(way, 1, issues, wayOptions);
+            maneuvers.push(...forwardManeuvers);
+        }
+        if (way.progressions.backward) {
+            let backwardManeuvers = getManeuversFromWay(way, -1, issues, wayOptions);
+            maneuvers.push(...backwardManeuvers);
+        }
         
-        // Output to a file if specified or to standard output otherwise.
-        let entry = `${maneuver.fromNode}\t${maneuver.viaNode}\t${maneuver.turn}\t${lastWay.tags.highway}\t${toClass || ""}\t${maneuver.lanes}\t${length}\t${protectedLength || ""}\t${maneuver.maxSpeed || ""}`;
-        if (writer) {
-            writer.write(entry + "\n");
-        } else {
-            console.log(entry);
+        // Add maneuvers from any center turn lane in both directions.
+        if (way.progressions.forward && way.progressions.backward) {
+            maneuvers.push(...getCenterTurnManeuversFromWay(way, 1, issues, wayOptions));
+            maneuvers.push(...getCenterTurnManeuversFromWay(way, -1, issues, wayOptions));
         }
+    }));
+    
+    // Link up maneuvers that traverse multiple ways.
+    measure(stats, "linking", () => linkManeuvers(maneuvers, dataset, issues, heuristics));
+    
+    // Group junctions on divided roads into intersections, unless the dataset
+    // has already been grouped using the same maximum internal length.
+    if (!dataset.intersections || dataset.intersections.maxLength !== heuristics.maxInternalLength) {
+        dataset.intersections = measure(stats, "clustering", () => intersections.clusterIntersections(dataset, heuristics.maxInternalLength));
+    }
+    
+    maneuvers = measure(stats, "flattening", () => {
+        // Prepare the maneuvers to be merged. From this point onward, a
+        // maneuver is assumed to traverse multiple ways, not necessarily in the
+        // same direction along all of them.
+        maneuvers.forEach(maneuver => {
+            maneuver.fromWays = [maneuver.fromWay];
+            maneuver.progressions = [maneuver.progression];
+            maneuver.segments = maneuver.segments || [];
+            maneuver.linkMethods = maneuver.linkMethod ? [maneuver.linkMethod] : [];
+            delete maneuver.fromWay;
+            delete maneuver.progression;
+            delete maneuver.linkMethod;
+        });
+        
+        // Flatten the maneuver array so that each item represents one maneuver
+        // traversing as many ways as necessary.
+        let flattenedManeuvers = maneuvers.filter(maneuver => !maneuver.isConnection);
+        flattenedManeuvers.forEach(maneuver => flattenManeuver(maneuver, issues));
+        
+        // Note any conditional tags that may change a maneuver over time.
+        flattenedManeuvers.forEach(maneuver => {
+            let tags = maneuver.fromWays.map(wayId => dataset.waysById[wayId].tags);
+            maneuver.conditionalTags = _.uniq(_.flatMap(tags, conditional.getConditionalKeys));
+        });
+        return flattenedManeuvers;
     });
-    if (writer) {
-        writer.end();
+    
+    // Find the cross street that each maneuver turns onto. A center turn lane
+    // has no single cross street, and a merge lane has none at all.
+    maneuvers.forEach(maneuver => {
+        maneuver.intersection = dataset.intersections.intersectionIdsByNodeId[maneuver.viaNode];
+    });
+    measure(stats, "crossStreets", () => maneuvers.filter(maneuver => maneuver.kind === "turnLane").forEach(maneuver => {
+        let crossStreet = findCrossStreet(maneuver, dataset, issues, heuristics, drivingSide);
+        if (crossStreet) {
+            maneuver.toWay = crossStreet.id;
+            maneuver.crossStreetMethod = crossStreet.method;
+            maneuver.turnAngle = crossStreet.angle;
+        }
+    }));
+    
+    // Determine the traffic control where each maneuver ends. A center turn
+    // lane ends at no particular intersection.
+    measure(stats, "control", () => maneuvers.forEach(maneuver => {
+        if (maneuver.kind !== "centerTurnLane") {
+            maneuver.control = control.getControl(maneuver, dataset, heuristics);
+        }
+    }));
+    
+    if (stats) {
+        stats.counts = Object.assign(stats.counts || {}, {
+            ways: dataset.ways.length,
+            nodes: _.size(dataset.nodesById),
+            intersections: _.size(dataset.intersections.nodeIdsByIntersectionId),
+            maneuvers: maneuvers.length
+        });
+    }
+    return maneuvers;
+}
+
+/**
+ * Returns the portion of the given maneuver that is subject to lane change
+ * restrictions, if only part of the maneuver is.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuver's ways.
+ * @returns {LineString} The line from the maneuver's protection node to its
+ *  via node, or undefined if the maneuver lacks a protection node.
+ */
+function getProtectedLine(maneuver, dataset) {
+    if (!maneuver.protectionNode) {
+        return undefined;
+    }
+    
+    let nodesById = dataset.nodesById;
+    let protectionNode = nodesById[maneuver.protectionNode];
+    let viaNode = nodesById[maneuver.viaNode];
+    return turf.lineSlice(turf.point([protectionNode.lon, protectionNode.lat]),
+                          turf.point([viaNode.lon, viaNode.lat]),
+                          maneuver.line);
+}
+
+/**
+ * Returns a summary of the given maneuver suitable for output.
+ *
+ * A summary object has the following properties:
+ *
+ * - kind {String} "turnLane", "centerTurnLane", or "mergeLane".
+ * - fromNode {Number} The ID of the node at the beginning of the turn lane.
+ * - viaNode {Number} The ID of the node at the end of the turn lane.
+ * - intersection {Number} The ID of the intersection at the end of the turn
+ *      lane.
+ * - turn {String} The allowed turn, such as "left".
+ * - fromClass {String} The `highway` tag of the way at the end of the turn
+ *      lane.
+ * - toClass {String} The `highway` tag of the cross street.
+ * - lanes {Number} The number of lanes that can be used for the maneuver.
+ * - dedicatedLanes {Number} The number of lanes that can only be used for the
+ *      maneuver.
+ * - sharedLanes {Number} The number of lanes that are shared with another
+ *      maneuver.
+ * - restrictedLanes {Number} The number of lanes marked for the maneuver that
+ *      the vehicle profile may not use.
+ * - profile {String} The vehicle profile for which lanes were counted.
+ * - control {String} The traffic control where the turn lane ends, one of
+ *      `control.controls` or "none", as determined by `control.getControl()`.
+ * - conditionalTags {Array<String>} The keys of any conditional tags along the
+ *      turn lane, such as `turn:lanes:conditional`.
+ * - linkMethod {String} How the ways along the turn lane were linked:
+ *      "connectivity", "destination", or "heuristic", or a semicolon-delimited
+ *      list of methods if different links were made by different methods.
+ *      Undefined if the turn lane lies along a single way.
+ * - crossStreetMethod {String} How the cross street was identified:
+ *      "connectivity", "destination", "restriction", or "heuristic".
+ * - turnAngle {Number} The angle in degrees between the turn lane and the
+ *      cross street, negative for a turn to the left.
+ * - length {Number} The length of the turn lane in meters.
+ * - protected {Boolean} True if any part of the turn lane is subject to lane
+ *      change restrictions.
+ * - protectedLength {Number} The length in meters of the portion of the turn
+ *      lane that is subject to lane change restrictions, if only part of it
+ *      is.
+ * - storageLength {Number} The length in meters of the portion of the turn
+ *      lane that has its full width, as described in `taper.measureStorage()`.
+ * - taperLength {Number} The length in meters of the taper at the beginning
+ *      of the turn lane, or 0 if the turn lane has no identifiable taper.
+ * - maxSpeed {Number} The maximum speed limit in meters per second.
+ * - maxSpeedSource {String} The source of the speed limit: "advisory",
+ *      "legal", or "implicit", or a semicolon-delimited list of sources if
+ *      the speed limit comes from multiple sources along the turn lane.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuver's ways.
+ * @returns {Object} A summary of the maneuver.
+ */
+function summarizeManeuver(maneuver, dataset) {
+    let waysById = dataset.waysById;
+    
+    let lastWay = waysById[_.last(maneuver.fromWays)];
+    let length = maneuver.lineLength;
+    
+    // If only part of the maneuver is subject to lane change restrictions,
+    // determine the length of that part.
+    let protectedLength;
+    let protectedLine = getProtectedLine(maneuver, dataset);
+    if (protectedLine) {
+        protectedLength = turf.length(protectedLine, {
+            units: "meters"
+        });
     }
-});
+    
+    let storage = taper.measureStorage(maneuver);
+    
+    let toWay = waysById[maneuver.toWay];
+    let toClass = toWay && toWay.tags.highway;
+    
+    return {
+        kind: maneuver.kind,
+        fromNode: maneuver.fromNode,
+        viaNode: maneuver.viaNode,
+        intersection: maneuver.intersection,
+        turn: maneuver.turn,
+        fromClass: lastWay.tags.highway,
+        toClass: toClass,
+        lanes: maneuver.lanes,
+        dedicatedLanes: maneuver.dedicatedLanes,
+        sharedLanes: maneuver.sharedLanes,
+        restrictedLanes: maneuver.restrictedLanes,
+        profile: maneuver.profile,
+        control: maneuver.control,
+        conditionalTags: maneuver.conditionalTags,
+        linkMethod: _.uniq(maneuver.linkMethods || []).join(";") || undefined,
+        crossStreetMethod: maneuver.crossStreetMethod,
+        turnAngle: maneuver.turnAngle,
+        length: length,
+        protected: Boolean(maneuver.protected || maneuver.protectionNode),
+        protectedLength: protectedLength,
+        storageLength: storage && storage.storageLength,
+        taperLength: storage && storage.taperLength,
+        maxSpeed: maneuver.maxSpeed,
+        maxSpeedSource: maneuver.maxSpeedSource
+    };
+}
+
+/**
+ * Analyzes the turn lanes in the given OpenStreetMap data.
+ *
+ * @param results {Object} Overpass API results in JSON format, with a
+ *  top-level `elements` array, such as the object returned by `parse()`.
+ * @param options {Object} Options that affect the analysis.
+ * @returns {Array<Object>} Flattened turn maneuvers, as returned by
+ *  `getManeuvers()`.
+ */
+function analyze(results, options) {
+    let dataset = indexElements(results.elements);
+    return getManeuvers(dataset, options);
+}
+
+module.exports = {
+    analyze: analyze,
+    parse: input.parse,
+    readPBF: pbf.readPBF,
+    indexElements: indexElements,
+    clusterIntersections: intersections.clusterIntersections,
+    loadConfig: config.loadConfig,
+    getManeuvers: getManeuvers,
+    summarizeManeuver: summarizeManeuver,
+    getProtectedLine: getProtectedLine,
+    getLaneCount: getLaneCount,
+    getTagsForProgression: getTagsForProgression,
+    normalizeSpeed: normalizeSpeed,
+    getMaxSpeed: getMaxSpeed,
+    getDrivingSide: getDrivingSide,
+    getManeuversFromWay: getManeuversFromWay,
+    getCenterTurnManeuversFromWay: getCenterTurnManeuversFromWay,
+    flattenManeuver: flattenManeuver,
+    getBearing: getBearing,
+    getBearingDelta: getBearingDelta,
+    measure: measure,
+    reportIssue: reportIssue
+};
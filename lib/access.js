@@ -0,0 +1,99 @@
+"use strict";
+
+/**
+ * {Object<Array<String>>} A table mapping each supported vehicle profile to
+ * the access keys that apply to it, ordered from most general to most
+ * specific. A more specific key takes precedence over a more general key.
+ */
+const profiles = {
+    car: ["access", "vehicle", "motor_vehicle", "motorcar"],
+    bus: ["access", "vehicle", "motor_vehicle", "psv", "bus"],
+    hgv: ["access", "vehicle", "motor_vehicle", "hgv"]
+};
+
+/**
+ * {Array<String>} Keys that may designate a lane exclusively for a particular
+ * class of traffic, such as a bus lane or bicycle lane. Other classes, such as
+ * heavy goods vehicles and taxis, may have lanes designated for them without
+ * excluding other traffic, so `hgv:lanes=|designated` does not make a lane
+ * unusable for cars.
+ */
+const designationKeys = ["bus", "psv", "bicycle", "foot"];
+
+/**
+ * {Array<String>} Access values that prohibit a vehicle from using a lane.
+ */
+const deniedValues = ["no", "private", "agricultural", "forestry", "use_sidepath", "discouraged"];
+
+/**
+ * Returns the per-lane values of an access key on the given way.
+ *
+ * @param key {String} An access key, such as `bus`.
+ * @param way {Object} The tagged way.
+ * @param progression {Number} A positive number for the forward direction or a
+ *  negative number for the backward direction.
+ * @returns {Array<String>} One value per lane, or undefined if the key has no
+ *  per-lane values.
+ */
+function getLaneValues(key, way, progression) {
+    let direction = progression > 0 ? "forward" : "backward";
+    let tags = way.tags[`${key}:lanes:${direction}`] || way.tags[`${key}:lanes`];
+    return tags && tags.split("|").map(value => value.trim());
+}
+
+/**
+ * Determines which of the lanes on the given way may be used by the given
+ * vehicle profile.
+ *
+ * A lane is usable unless the most specific access key that applies to the
+ * profile prohibits it, as in `access:lanes=yes|no` or
+ * `motor_vehicle:lanes=yes|no`. If no key applicable to the profile is set
+ * for the lane, the lane is still unusable if it is designated exclusively
+ * for another class of traffic in `designationKeys`, as in
+ * `bus:lanes=|designated` or `bicycle:lanes=|designated`.
+ *
+ * @param way {Object} The tagged way.
+ * @param progression {Number} A positive number for the forward direction or a
+ *  negative number for the backward direction.
+ * @param laneCount {Number} The number of lanes, as indicated by the turn
+ *  lanes.
+ * @param profile {String} A key of `profiles`.
+ * @param onMismatch {Function} A function called with the key and number of
+ *  values for each access key whose number of values differs from
+ *  `laneCount`. Such a key is ignored.
+ * @returns {Array<Boolean>} One entry per lane, true if the lane is usable.
+ */
+function getLaneAccess(way, progression, laneCount, profile, onMismatch) {
+    let profileKeys = profiles[profile];
+    if (!profileKeys) {
+        throw new Error(`Unrecognized vehicle profile ${profile}.`);
+    }
+    
+    let valuesByKey = {};
+    profileKeys.concat(designationKeys).forEach(key => {
+        let values = getLaneValues(key, way, progression);
+        if (values && values.length !== laneCount) {
+            onMismatch(key, values.length);
+        } else if (values) {
+            valuesByKey[key] = values;
+        }
+    });
+    
+    let usability = [];
+    for (let idx = 0; idx < laneCount; idx++) {
+        let valueForLane = key => valuesByKey[key] && valuesByKey[key][idx];
+        let specificKey = profileKeys.concat().reverse().find(valueForLane);
+        if (specificKey) {
+            usability.push(!deniedValues.includes(valueForLane(specificKey)));
+        } else {
+            usability.push(!designationKeys.some(key => !profileKeys.includes(key) &&
+                                                 valueForLane(key) === "designated"));
+        }
+    }
+    return usability;
+}
+
+module.exports = {
+    profiles: profiles,
+    getLaneAccess: getLaneAccess
+};
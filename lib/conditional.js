@@ -0,0 +1,343 @@
+"use strict";
+
+let _ = require("lodash");
+
+/**
+ * {Array<String>} Two-letter weekday abbreviations in the opening hours
+ * syntax, beginning with Sunday to match `Date.prototype.getUTCDay()`.
+ */
+const weekdays = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
+
+/**
+ * {Array<String>} Three-letter month abbreviations in the opening hours
+ * syntax.
+ */
+const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+/**
+ * {RegExp} A pattern matching the keys of conditional tags that affect the
+ * analysis of a turn lane: turn indications, lane change restrictions, speed
+ * limits, and per-lane access.
+ */
+const relevantKeyPattern = /^(turn|change|maxspeed|access|vehicle|motor_vehicle|motorcar|psv|bus|hgv)(:.+)?:conditional$/;
+
+/**
+ * {Object<Object<Number>>} A table mapping each vehicle profile in
+ * `access.profiles` to the typical dimensions of such a vehicle, for
+ * evaluating conditions such as `weight>7.5`. Weights are in metric tons and
+ * lengths in meters.
+ */
+const vehicleProperties = {
+    car: {
+        weight: 1.5,
+        axleload: 0.8,
+        length: 4.5,
+        width: 1.8,
+        height: 1.5
+    },
+    bus: {
+        weight: 18,
+        axleload: 11.5,
+        length: 12,
+        width: 2.55,
+        height: 3.2
+    },
+    hgv: {
+        weight: 40,
+        axleload: 11.5,
+        length: 16.5,
+        width: 2.55,
+        height: 4
+    }
+};
+
+/**
+ * {Array<String>} Conditions that depend on the weather or on the purpose of
+ * a trip. Through traffic in fair weather is assumed, so these conditions are
+ * never in effect.
+ */
+const situationalConditions = ["wet", "snow", "dry", "winter", "summer", "destination", "delivery",
+                               "customers", "permissive", "agricultural", "forestry"];
+
+/**
+ * Converts the given time into the components that conditions are evaluated
+ * against.
+ *
+ * A moment object has the following properties:
+ *
+ * - month {Number} The month, from 0 for January to 11 for December.
+ * - weekday {Number} The day of the week, from 0 for Sunday to 6 for
+ *      Saturday.
+ * - minutes {Number} The number of minutes since midnight.
+ *
+ * @param at {String|Date} A local date and time, either as a `Date` or as a
+ *  string such as "2026-10-19T08:00". A string is interpreted as the local
+ *  time wherever the ways are, regardless of the time zone of the computer.
+ * @returns {Object} A moment object.
+ */
+function parseMoment(at) {
+    if (at instanceof Date) {
+        if (isNaN(at.getTime())) {
+            throw new Error("Invalid date.");
+        }
+        return {
+            month: at.getMonth(),
+            weekday: at.getDay(),
+            minutes: at.getHours() * 60 + at.getMinutes()
+        };
+    }
+    
+    let match = String(at).match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/);
+    let date = match && new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])));
+    if (!date || date.getUTCMonth() !== parseInt(match[2]) - 1 ||
+        parseInt(match[4] || 0) > 23 || parseInt(match[5] || 0) > 59) {
+        throw new Error(`Unrecognized date ${at}; expected a date and time such as 2026-10-19T08:00.`);
+    }
+    return {
+        month: date.getUTCMonth(),
+        weekday: date.getUTCDay(),
+        minutes: parseInt(match[4] || 0) * 60 + parseInt(match[5] || 0)
+    };
+}
+
+/**
+ * Parses the value of a conditional tag, such as
+ * `no @ (Mo-Fr 07:00-09:00); yes @ wet`.
+ *
+ * A conditional value object has the following properties:
+ *
+ * - value {String} The value that applies while the condition holds.
+ * - condition {String} The condition, without any enclosing parentheses.
+ *
+ * @param tag {String} The value of a `*:conditional` tag.
+ * @returns {Array<Object>} Conditional value objects, or undefined if the tag
+ *  is malformed.
+ */
+function parseConditionalValue(tag) {
+    let entries = [];
+    let rest = tag.trim();
+    while (rest) {
+        // A value may itself contain semicolons, as in a turn:lanes value, so
+        // look for the @ that introduces its condition.
+        let atIdx = rest.indexOf("@");
+        if (atIdx < 0) {
+            return undefined;
+        }
+        let value = rest.slice(0, atIdx).trim();
+        rest = rest.slice(atIdx + 1).trim();
+        
+        let condition;
+        if (rest.startsWith("(")) {
+            let closeIdx = rest.indexOf(")");
+            if (closeIdx < 0) {
+                return undefined;
+            }
+            condition = rest.slice(1, closeIdx).trim();
+            rest = rest.slice(closeIdx + 1).trim();
+        } else {
+            let semicolonIdx = rest.indexOf(";");
+            condition = (semicolonIdx < 0 ? rest : rest.slice(0, semicolonIdx)).trim();
+            rest = semicolonIdx < 0 ? "" : rest.slice(semicolonIdx);
+        }
+        if (rest && !rest.startsWith(";")) {
+            return undefined;
+        }
+        rest = rest.slice(1).trim();
+        
+        entries.push({
+            value: value,
+            condition: condition
+        });
+    }
+    return entries;
+}
+
+/**
+ * Returns whether the given index lies within a comma-separated list of
+ * ranges of names, such as `Mo-Fr,Su` or `Nov-Mar`.
+ *
+ * @param list {String} The comma-separated list of names and ranges.
+ * @param names {Array<String>} The names in order.
+ * @param idx {Number} The index of the name to look for.
+ * @returns {Boolean} True if the list includes the name.
+ */
+function includesName(list, names, idx) {
+    return list.split(",").some(range => {
+        let ends = range.split("-").map(name => names.indexOf(name));
+        let start = ends[0];
+        let end = ends.length > 1 ? ends[1] : start;
+        return start <= end ? idx >= start && idx <= end : idx >= start || idx <= end;
+    });
+}
+
+/**
+ * Evaluates an opening hours expression, such as
+ * `Mo-Fr 07:00-09:00,16:00-18:00; Sa 08:00-12:00`, at the given moment.
+ *
+ * Only a subset of the opening hours syntax is supported: rules consisting of
+ * optional month ranges, optional weekday ranges, and optional time ranges,
+ * `24/7`, and `off`. As in the opening hours syntax, a later rule that covers
+ * the same day overrides an earlier one.
+ *
+ * @param expression {String} The opening hours expression.
+ * @param moment {Object} A moment object returned by `parseMoment()`.
+ * @returns {Boolean} True if the moment falls within the opening hours, or
+ *  undefined if the expression is not supported or contains an invalid time.
+ */
+function evaluateOpeningHours(expression, moment) {
+    let monthPattern = new RegExp(`^(${months.join("|")})(-(${months.join("|")}))?(,(${months.join("|")})(-(${months.join("|")}))?)*$`);
+    let weekdayPattern = new RegExp(`^(${weekdays.join("|")})(-(${weekdays.join("|")}))?(,(${weekdays.join("|")})(-(${weekdays.join("|")}))?)*$`);
+    let timePattern = /^\d{1,2}:\d{2}-\d{1,2}:\d{2}(,\d{1,2}:\d{2}-\d{1,2}:\d{2})*$/;
+    // A time range may end at 24:00 but not past it.
+    let toMinutes = time => {
+        let parts = time.split(":").map(part => parseInt(part));
+        return parts[1] > 59 || parts[0] * 60 + parts[1] > 24 * 60 ? undefined : parts[0] * 60 + parts[1];
+    };
+    
+    let isOpen = false;
+    for (let rule of expression.split(";").map(rule => rule.trim()).filter(rule => rule)) {
+        if (rule === "24/7") {
+            isOpen = true;
+            continue;
+        }
+        
+        let appliesToDay = true;
+        let isOpenInRule = true;
+        for (let token of rule.replace(/\s*,\s*/g, ",").split(/\s+/)) {
+            if (monthPattern.test(token)) {
+                appliesToDay = appliesToDay && includesName(token, months, moment.month);
+            } else if (weekdayPattern.test(token)) {
+                appliesToDay = appliesToDay && includesName(token, weekdays, moment.weekday);
+            } else if (timePattern.test(token)) {
+                let ranges = token.split(",").map(range => range.split("-").map(toMinutes));
+                if (_.flatten(ranges).includes(undefined)) {
+                    return undefined;
+                }
+                isOpenInRule = ranges.some(ends => {
+                    // A range such as 22:00-06:00 continues past midnight.
+                    return ends[0] <= ends[1] ? moment.minutes >= ends[0] && moment.minutes < ends[1] :
+                        moment.minutes >= ends[0] || moment.minutes < ends[1];
+                });
+            } else if (token === "off" || token === "closed") {
+                isOpenInRule = false;
+            } else {
+                return undefined;
+            }
+        }
+        if (appliesToDay) {
+            isOpen = isOpenInRule;
+        }
+    }
+    return isOpen;
+}
+
+/**
+ * Evaluates a single condition, such as `Mo-Fr 07:00-09:00` or `weight>7.5`,
+ * for the given moment and vehicle profile.
+ *
+ * @param condition {String} The condition, which may combine several
+ *  conditions with `AND`.
+ * @param context {Object} An object whose `moment` property is a moment object
+ *  returned by `parseMoment()` and whose `profile` property is a key of
+ *  `access.profiles`.
+ * @returns {Boolean} True if the condition holds, or undefined if the
+ *  condition is not supported.
+ */
+function evaluateCondition(condition, context) {
+    let results = condition.split(/\s+AND\s+/i).map(part => {
+        part = part.trim();
+        if (situationalConditions.includes(part)) {
+            return false;
+        }
+        
+        let comparison = part.match(/^(weight|axleload|length|width|height)\s*(<=|>=|<|>|=)\s*(\d+(?:\.\d+)?)\s*[a-z]*$/);
+        if (comparison) {
+            let actual = vehicleProperties[context.profile || "car"][comparison[1]];
+            let limit = parseFloat(comparison[3]);
+            switch (comparison[2]) {
+                case "<":
+                    return actual < limit;
+                case "<=":
+                    return actual <= limit;
+                case ">":
+                    return actual > limit;
+                case ">=":
+                    return actual >= limit;
+                default:
+                    return actual === limit;
+            }
+        }
+        
+        return evaluateOpeningHours(part, context.moment);
+    });
+    if (results.includes(undefined)) {
+        return undefined;
+    }
+    return results.every(result => result);
+}
+
+/**
+ * Returns the given tags with any conditional tags that relate to turn lanes
+ * evaluated for the given moment and vehicle profile.
+ *
+ * Where a conditional tag such as `turn:lanes:conditional` has a condition
+ * that holds, its value replaces the value of the corresponding unconditional
+ * tag, such as `turn:lanes`. If several conditions hold, the last one takes
+ * precedence.
+ *
+ * @param tags {Object} The tags of a way.
+ * @param context {Object} An object whose `moment` property is a moment object
+ *  returned by `parseMoment()` and whose `profile` property is a key of
+ *  `access.profiles`.
+ * @param onUnsupported {Function} A function called with the key and value of
+ *  each conditional tag that is malformed or contains an unsupported
+ *  condition. Such a condition is assumed not to hold.
+ * @returns {Object} A copy of the tags with conditional values applied.
+ */
+function applyConditions(tags, context, onUnsupported) {
+    let effectiveTags = Object.assign({}, tags);
+    _.forEach(tags, (tag, key) => {
+        if (!relevantKeyPattern.test(key)) {
+            return;
+        }
+        
+        let entries = parseConditionalValue(tag);
+        if (!entries) {
+            onUnsupported(key, tag);
+            return;
+        }
+        let isSupported = true;
+        entries.forEach(entry => {
+            let holds = evaluateCondition(entry.condition, context);
+            if (holds === undefined) {
+                isSupported = false;
+            } else if (holds) {
+                effectiveTags[key.replace(/:conditional$/, "")] = entry.value;
+            }
+        });
+        if (!isSupported) {
+            onUnsupported(key, tag);
+        }
+    });
+    return effectiveTags;
+}
+
+/**
+ * Returns the conditional tags among the given tags that relate to turn
+ * lanes.
+ *
+ * @param tags {Object} The tags of a way.
+ * @returns {Array<String>} The keys of the conditional tags.
+ */
+function getConditionalKeys(tags) {
+    return Object.keys(tags).filter(key => relevantKeyPattern.test(key));
+}
+
+module.exports = {
+    parseMoment: parseMoment,
+    parseConditionalValue: parseConditionalValue,
+    evaluateOpeningHours: evaluateOpeningHours,
+    evaluateCondition: evaluateCondition,
+    applyConditions: applyConditions,
+    getConditionalKeys: getConditionalKeys
+};
@@ -0,0 +1,118 @@
+"use strict";
+
+let _ = require("lodash");
+let fs = require("fs");
+let yaml = require("js-yaml");
+
+/**
+ * {Object} The heuristics used by default to analyze turn lanes. A
+ * configuration file may override any of these options:
+ *
+ * - maxBearingDeltaRadius {Number} Maximum length in meters of the segment of
+ *      a way or maneuver that is included in a turn angle calculation.
+ * - maxLinkAngle {Number} Maximum angle in degrees between two maneuvers that
+ *      can be linked into a single maneuver. A larger angle indicates that the
+ *      second maneuver is probably on a cross street.
+ * - minUTurnAngle {Number} Minimum angle in degrees between a U-turn maneuver
+ *      and its cross street.
+ * - maxTurnAngle {Number} Maximum angle in degrees between a left or right turn
+ *      maneuver and its cross street. A larger angle indicates a U-turn.
+ * - maxInternalLength {Number} Maximum length in meters of a way segment
+ *      joining two junctions in the same intersection, such as across the
+ *      median of a divided road.
+ * - maxControlDistance {Number} Maximum distance in meters before the end of a
+ *      turn lane at which a traffic signal, stop sign, or other traffic
+ *      control node is considered to govern the maneuver.
+ * - turnChannelClasses {Array<String>} Road classifications (`highway` tag
+ *      values) of ramps and turn channels. A one-lane, one-way way of one of
+ *      these classifications is not analyzed, and a turn lane on the main
+ *      road does not continue onto one.
+ * - includeClasses {Array<String>} Road classifications of the turn lanes to
+ *      analyze, or an empty array to analyze turn lanes on all roads.
+ * - excludeClasses {Array<String>} Road classifications of the turn lanes not
+ *      to analyze.
+ *
+ * A road classification may contain `*` as a wildcard, as in `*_link`.
+ */
+const defaults = {
+    maxBearingDeltaRadius: 36,
+    maxLinkAngle: 45,
+    minUTurnAngle: 30,
+    maxTurnAngle: 150,
+    maxInternalLength: 50,
+    maxControlDistance: 30,
+    turnChannelClasses: ["service", "*_link"],
+    includeClasses: [],
+    excludeClasses: []
+};
+
+/**
+ * Returns whether the given road classification matches the given pattern.
+ *
+ * @param highway {String} A `highway` tag value.
+ * @param pattern {String} A road classification, optionally containing `*`
+ *  wildcards.
+ * @returns {Boolean} True if the classification matches.
+ */
+function matchesClass(highway, pattern) {
+    let expression = pattern.split("*").map(_.escapeRegExp).join(".*");
+    return new RegExp(`^${expression}$`).test(highway || "");
+}
+
+/**
+ * Returns whether a way with the given road classification should be analyzed
+ * for turn lanes.
+ *
+ * @param highway {String} A `highway` tag value.
+ * @param config {Object} A configuration object.
+ * @returns {Boolean} True if the classification is included and not
+ *  excluded.
+ */
+function isIncludedClass(highway, config) {
+    if (config.includeClasses.length &&
+        !config.includeClasses.some(pattern => matchesClass(highway, pattern))) {
+        return false;
+    }
+    return !config.excludeClasses.some(pattern => matchesClass(highway, pattern));
+}
+
+/**
+ * Returns a complete configuration object based on the given options.
+ *
+ * @param options {Object} Configuration options overriding any of `defaults`.
+ * @returns {Object} A configuration object with every option set.
+ */
+function resolveConfig(options) {
+    options = options || {};
+    let unknownKeys = _.difference(Object.keys(options), Object.keys(defaults));
+    if (unknownKeys.length) {
+        throw new Error(`Unrecognized configuration option ${unknownKeys[0]}.`);
+    }
+    _.forEach(options, (value, key) => {
+        if (Array.isArray(defaults[key]) ? !Array.isArray(value) : typeof(value) !== typeof(defaults[key])) {
+            throw new Error(`Configuration option ${key} must be ${Array.isArray(defaults[key]) ? "an array" : `a ${typeof(defaults[key])}`}.`);
+        }
+    });
+    return _.defaults({}, options, defaults);
+}
+
+/**
+ * Reads a configuration file in JSON or YAML format.
+ *
+ * @param path {String} The path to the configuration file. The file is parsed
+ *  as YAML if its name ends in `.yaml` or `.yml` and as JSON otherwise.
+ * @returns {Object} A configuration object with every option set.
+ */
+function loadConfig(path) {
+    let data = fs.readFileSync(path, "utf8");
+    let options = /\.ya?ml$/i.test(path) ? yaml.load(data) : JSON.parse(data);
+    return resolveConfig(options);
+}
+
+module.exports = {
+    defaults: defaults,
+    matchesClass: matchesClass,
+    isIncludedClass: isIncludedClass,
+    resolveConfig: resolveConfig,
+    loadConfig: loadConfig
+};
@@ -0,0 +1,238 @@
+"use strict";
+
+let _ = require("lodash");
+
+/**
+ * Parses a lane connectivity relation.
+ *
+ * A connectivity object has the following properties:
+ *
+ * - id {Number} The ID of the relation.
+ * - fromWay {Number} The ID of the way with the `from` role.
+ * - viaNode {Number} The ID of the node with the `via` role, if any.
+ * - viaWays {Array<Number>} The IDs of the ways with the `via` role, in
+ *      order.
+ * - toWay {Number} The ID of the way with the `to` role.
+ * - lanes {Object<Array<Number>>} A table mapping each lane number on the
+ *      `from` way to the lane numbers on the `to` way that it continues into.
+ *      Lanes are numbered from 1, in the same order as in `turn:lanes`.
+ *
+ * @param relation {Object} A relation in the Overpass JSON format.
+ * @returns {Object} A connectivity object, or undefined if the relation is not
+ *  a well-formed lane connectivity relation.
+ */
+function parseConnectivity(relation) {
+    let tags = relation.tags || {};
+    if (tags.type !== "connectivity" || !tags.connectivity) {
+        return undefined;
+    }
+    
+    // Optional connections, written in parentheses, count as connections.
+    // Connections involving lanes shared by both directions are ignored.
+    let parseLaneNumber = value => parseInt(value.trim().replace(/^\((.*)\)$/, "$1"));
+    let lanes = {};
+    tags.connectivity.split("|").forEach(connection => {
+        let parts = connection.split(":");
+        let fromLane = parseLaneNumber(parts[0]);
+        let toLanes = (parts[1] || "").split(",").map(parseLaneNumber).filter(lane => !isNaN(lane));
+        if (!isNaN(fromLane) && toLanes.length) {
+            lanes[fromLane] = toLanes;
+        }
+    });
+    
+    let membersWithRole = (role, type) => relation.members
+        .filter(member => member.role === role && member.type === type)
+        .map(member => member.ref);
+    let fromWays = membersWithRole("from", "way");
+    let toWays = membersWithRole("to", "way");
+    if (fromWays.length !== 1 || toWays.length !== 1 || _.isEmpty(lanes)) {
+        return undefined;
+    }
+    return {
+        id: relation.id,
+        fromWay: fromWays[0],
+        viaNode: membersWithRole("via", "node")[0],
+        viaWays: membersWithRole("via", "way"),
+        toWay: toWays[0],
+        lanes: lanes
+    };
+}
+
+/**
+ * Indexes the lane connectivity relations among the given relations by the
+ * ways they lead from.
+ *
+ * @param relations {Array<Object>} Relations in the Overpass JSON format.
+ * @returns {Object<Array<Object>>} A table mapping way IDs to the connectivity
+ *  objects that have those ways in the `from` role.
+ */
+function indexConnectivity(relations) {
+    let connectivityByFromWay = {};
+    relations.map(parseConnectivity).filter(connectivity => connectivity).forEach(connectivity => {
+        if (!(connectivity.fromWay in connectivityByFromWay)) {
+            connectivityByFromWay[connectivity.fromWay] = [];
+        }
+        connectivityByFromWay[connectivity.fromWay].push(connectivity);
+    });
+    return connectivityByFromWay;
+}
+
+/**
+ * Returns the lane connectivity relations that describe how the lanes of the
+ * given way continue onto the given way at the given node.
+ *
+ * A relation applies if its `via` member is the node itself, if its first
+ * `via` way begins at the node, or if it has no `via` member and the two ways
+ * meet at the node.
+ *
+ * @param dataset {Object} The dataset containing the relations.
+ * @param fromWayId {Number} The ID of the way being traveled from.
+ * @param viaNodeId {Number} The ID of the node at which the ways meet.
+ * @param toWayId {Number} The ID of the way being traveled onto.
+ * @returns {Array<Object>} Connectivity objects.
+ */
+function getApplicableConnectivity(dataset, fromWayId, viaNodeId, toWayId) {
+    let connectivities = (dataset.connectivityByFromWay || {})[fromWayId] || [];
+    return connectivities.filter(connectivity => {
+        if (connectivity.viaNode !== undefined) {
+            return connectivity.viaNode === viaNodeId && connectivity.toWay === toWayId;
+        }
+        if (connectivity.viaWays.length) {
+            let firstViaWay = dataset.waysById[connectivity.viaWays[0]];
+            return connectivity.viaWays[0] === toWayId && firstViaWay && firstViaWay.nodes.includes(viaNodeId);
+        }
+        return connectivity.toWay === toWayId;
+    });
+}
+
+/**
+ * Returns the destinations signposted for the given lanes of a way, according
+ * to its `destination:lanes` and `destination:ref:lanes` tags.
+ *
+ * @param way {Object} The tagged way.
+ * @param progression {Number} A positive number for the forward direction or a
+ *  negative number for the backward direction.
+ * @param laneNumbers {Array<Number>} The lanes, numbered from 1.
+ * @returns {Array<String>} Destination names and route numbers.
+ */
+function getLaneDestinations(way, progression, laneNumbers) {
+    let direction = progression > 0 ? "forward" : "backward";
+    return _.uniq(_.flatMap(["destination", "destination:ref"], key => {
+        let tags = way.tags[`${key}:lanes:${direction}`] || way.tags[`${key}:lanes`];
+        let values = tags ? tags.split("|") : [];
+        return _.flatMap(laneNumbers, laneNumber => (values[laneNumber - 1] || "").split(";"));
+    }).map(destination => destination.trim()).filter(destination => destination));
+}
+
+/**
+ * Returns the names, route numbers, and destinations that identify the given
+ * way on signage.
+ *
+ * @param way {Object} The tagged way.
+ * @returns {Array<String>} Names and route numbers.
+ */
+function getWayIdentifiers(way) {
+    return _.flatMap(["name", "ref", "destination", "destination:ref"], key => (way.tags[key] || "").split(";"))
+        .map(identifier => identifier.trim())
+        .filter(identifier => identifier);
+}
+
+/**
+ * Weighs the evidence that one turn lane continues into another, based on
+ * lane connectivity relations and, failing that, on lane destinations.
+ *
+ * An evidence object has the following properties:
+ *
+ * - method {String} "connectivity" or "destination".
+ * - isLinked {Boolean} True if the evidence shows that the turn lanes are
+ *      connected, or false if it shows that they are not.
+ *
+ * @param dataset {Object} The dataset containing the maneuvers' ways.
+ * @param maneuver {Object} An unflattened maneuver returned by
+ *  `getManeuversFromWay()`.
+ * @param nextManeuver {Object} An unflattened maneuver beginning where
+ *  `maneuver` ends.
+ * @returns {Object} An evidence object, or undefined if there is no evidence
+ *  either way.
+ */
+function getLinkEvidence(dataset, maneuver, nextManeuver) {
+    let laneNumbers = maneuver.segments[0].laneNumbers;
+    let nextLaneNumbers = nextManeuver.segments[0].laneNumbers;
+    
+    let connectivities = getApplicableConnectivity(dataset, maneuver.fromWay, maneuver.viaNode, nextManeuver.fromWay);
+    if (connectivities.length) {
+        let toLaneNumbers = _.flatMap(connectivities, connectivity =>
+            _.flatMap(laneNumbers, laneNumber => connectivity.lanes[laneNumber] || []));
+        return {
+            method: "connectivity",
+            isLinked: _.intersection(toLaneNumbers, nextLaneNumbers).length > 0
+        };
+    }
+    
+    let destinations = getLaneDestinations(dataset.waysById[maneuver.fromWay], maneuver.progression, laneNumbers);
+    let nextDestinations = getLaneDestinations(dataset.waysById[nextManeuver.fromWay], nextManeuver.progression,
+                                               nextLaneNumbers);
+    if (destinations.length && nextDestinations.length) {
+        return {
+            method: "destination",
+            isLinked: _.intersection(destinations, nextDestinations).length > 0
+        };
+    }
+    return undefined;
+}
+
+/**
+ * Weighs the evidence that the given turn lanes lead onto each of the given
+ * cross streets, based on lane connectivity relations and, failing that, on
+ * lane destinations.
+ *
+ * @param dataset {Object} The dataset containing the ways.
+ * @param fromWayId {Number} The ID of the last way along the turn lane.
+ * @param progression {Number} The direction of travel along that way.
+ * @param laneNumbers {Array<Number>} The turn lanes on that way, numbered from
+ *  1.
+ * @param viaNodeId {Number} The ID of the node at which the turn occurs.
+ * @param toWayIds {Array<Number>} The IDs of the candidate cross streets.
+ * @returns {Object<Object>} A table mapping the ID of each candidate to an
+ *  evidence object, as described in `getLinkEvidence()`, omitting candidates
+ *  for which there is no evidence.
+ */
+function getCrossStreetEvidence(dataset, fromWayId, progression, laneNumbers, viaNodeId, toWayIds) {
+    let evidenceByWayId = {};
+    toWayIds.forEach(toWayId => {
+        let connectivities = getApplicableConnectivity(dataset, fromWayId, viaNodeId, toWayId);
+        if (connectivities.length) {
+            evidenceByWayId[toWayId] = {
+                method: "connectivity",
+                isLinked: connectivities.some(connectivity =>
+                    laneNumbers.some(laneNumber => laneNumber in connectivity.lanes))
+            };
+        }
+    });
+    if (!_.isEmpty(evidenceByWayId)) {
+        return evidenceByWayId;
+    }
+    
+    // A destination only counts as evidence in favor of a cross street, since
+    // the signage may name a place further down the road rather than the
+    // cross street itself.
+    let destinations = getLaneDestinations(dataset.waysById[fromWayId], progression, laneNumbers);
+    toWayIds.forEach(toWayId => {
+        if (_.intersection(destinations, getWayIdentifiers(dataset.waysById[toWayId])).length) {
+            evidenceByWayId[toWayId] = {
+                method: "destination",
+                isLinked: true
+            };
+        }
+    });
+    return evidenceByWayId;
+}
+
+module.exports = {
+    parseConnectivity: parseConnectivity,
+    indexConnectivity: indexConnectivity,
+    getApplicableConnectivity: getApplicableConnectivity,
+    getLaneDestinations: getLaneDestinations,
+    getLinkEvidence: getLinkEvidence,
+    getCrossStreetEvidence: getCrossStreetEvidence
+};
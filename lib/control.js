@@ -0,0 +1,140 @@
+"use strict";
+
+let _ = require("lodash");
+let turf = require("@turf/turf");
+
+let intersections = require("./intersections");
+
+/**
+ * {Array<String>} The kinds of traffic control that may govern a maneuver, in
+ * order of precedence. If several kinds of traffic control apply to the same
+ * maneuver, such as a signalized roundabout or a stop sign before a
+ * crosswalk, the first kind in this list is reported.
+ */
+const controls = ["traffic_signals", "roundabout", "stop", "give_way", "crossing"];
+
+/**
+ * {Array<String>} Values of `junction` that indicate a roundabout.
+ */
+const roundaboutValues = ["roundabout", "circular"];
+
+/**
+ * Returns whether a directional traffic control node applies to traffic
+ * traveling along a way in the given direction.
+ *
+ * A traffic control node's `direction` tag, or for traffic signals its
+ * `traffic_signals:direction` tag, is relative to the way it lies on. Any
+ * value other than "forward" or "backward", such as "both", applies to
+ * either direction.
+ *
+ * @param node {Object} A tagged node.
+ * @param progression {Number} A positive number for the forward direction or a
+ *  negative number for the backward direction.
+ * @returns {Boolean} True if the node applies to traffic in that direction.
+ */
+function appliesToProgression(node, progression) {
+    let direction = (node.tags.highway === "traffic_signals" && node.tags["traffic_signals:direction"]) ||
+        node.tags.direction;
+    switch (direction) {
+        case "forward":
+            return progression > 0;
+        case "backward":
+            return progression < 0;
+        default:
+            return true;
+    }
+}
+
+/**
+ * Returns the nodes along the approach to the given maneuver's intersection,
+ * beginning with the node where the driver turns and working backwards.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuver's ways.
+ * @param maxDistance {Number} The maximum distance in meters from the via
+ *  node to an approach node.
+ * @returns {Array<Object>} Objects containing each node and the progression of
+ *  travel along the way it lies on.
+ */
+function getApproachNodes(maneuver, dataset, maxDistance) {
+    let viaNodeIds = intersections.getNodeIds(dataset.intersections, maneuver.viaNode);
+    let approachNodes = [];
+    let distance = 0;
+    let lastNode;
+    for (let wayIdx = maneuver.fromWays.length - 1; wayIdx >= 0; wayIdx--) {
+        let way = dataset.waysById[maneuver.fromWays[wayIdx]];
+        let progression = maneuver.progressions[wayIdx];
+        let nodeIds = progression > 0 ? way.nodes.slice().reverse() : way.nodes;
+        for (let nodeId of nodeIds) {
+            let node = dataset.nodesById[nodeId];
+            if (lastNode) {
+                distance += turf.distance([lastNode.lon, lastNode.lat], [node.lon, node.lat], {
+                    units: "meters"
+                });
+            }
+            lastNode = node;
+            
+            // Stop at the previous intersection, whose traffic control
+            // applies to the cross traffic there rather than this maneuver.
+            if (distance > maxDistance ||
+                (nodeId in dataset.intersections.intersectionIdsByNodeId && !viaNodeIds.includes(nodeId))) {
+                return approachNodes;
+            }
+            approachNodes.push({
+                node: node,
+                progression: progression
+            });
+        }
+    }
+    return approachNodes;
+}
+
+/**
+ * Determines the traffic control at the end of the given maneuver.
+ *
+ * The via node and any other junction nodes in the same intersection are
+ * examined, along with any nodes along the approach within
+ * `maxControlDistance` of the via node, since traffic signals and stop signs
+ * are often mapped at the stop line rather than the junction itself. A
+ * traffic control node on the approach only counts if it applies to the
+ * maneuver's direction of travel. A maneuver enters a roundabout if any way
+ * that meets the intersection, other than the turn lane itself, is tagged
+ * `junction=roundabout`.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuver's ways.
+ * @param heuristics {Object} A configuration object.
+ * @returns {String} One of `controls`, or "none" if the maneuver is
+ *  uncontrolled.
+ */
+function getControl(maneuver, dataset, heuristics) {
+    let found = new Set();
+    
+    getApproachNodes(maneuver, dataset, heuristics.maxControlDistance).forEach(approachNode => {
+        let node = approachNode.node;
+        if (node.tags && controls.includes(node.tags.highway) &&
+            appliesToProgression(node, approachNode.progression)) {
+            found.add(node.tags.highway);
+        }
+    });
+    
+    let viaNodeIds = intersections.getNodeIds(dataset.intersections, maneuver.viaNode);
+    viaNodeIds.forEach(nodeId => {
+        let node = dataset.nodesById[nodeId];
+        if (nodeId !== maneuver.viaNode && node.tags && controls.includes(node.tags.highway)) {
+            found.add(node.tags.highway);
+        }
+        
+        let wayIds = _.difference(dataset.wayIdsByNodeId[nodeId] || [], maneuver.fromWays);
+        if (wayIds.some(wayId => roundaboutValues.includes(dataset.waysById[wayId].tags.junction))) {
+            found.add("roundabout");
+        }
+    });
+    
+    return controls.find(control => found.has(control)) || "none";
+}
+
+module.exports = {
+    controls: controls,
+    getControl: getControl
+};
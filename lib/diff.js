@@ -0,0 +1,285 @@
+"use strict";
+
+let _ = require("lodash");
+let turf = require("@turf/turf");
+
+let turnover = require("../index");
+let intersections = require("./intersections");
+
+/**
+ * {Number} Maximum angle in degrees between the approaches of two maneuvers
+ * that are considered to be the same maneuver.
+ */
+const maxApproachAngle = 30;
+
+/**
+ * {Number} Maximum distance in meters between the ends of two maneuvers that
+ * are considered to be the same maneuver, if their intersections have no
+ * junction nodes in common.
+ */
+const maxViaDistance = 20;
+
+/**
+ * {Object<Number>} The smallest difference in each compared attribute that is
+ * reported as a modification. Smaller differences are likely to result from
+ * rounding, such as when a way is split.
+ */
+const tolerances = {
+    lanes: 0,
+    length: 1,
+    protected: 0,
+    protectedLength: 1,
+    storageLength: 1,
+    taperLength: 1,
+    maxSpeed: 0.01
+};
+
+/**
+ * {Array<String>} The attributes of a maneuver summary that are compared
+ * between snapshots.
+ */
+const comparedAttributes = Object.keys(tolerances);
+
+/**
+ * Returns a description of the given maneuver's approach to its intersection,
+ * for matching against maneuvers in another snapshot.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuver's ways.
+ * @returns {Object} An object containing the maneuver, its summary, the IDs
+ *  of its intersection's junction nodes, its location, and its bearing as it
+ *  enters the intersection.
+ */
+function getApproach(maneuver, dataset) {
+    return {
+        maneuver: maneuver,
+        summary: turnover.summarizeManeuver(maneuver, dataset),
+        nodeIds: intersections.getNodeIds(dataset.intersections, maneuver.viaNode),
+        location: _.last(turf.getCoords(maneuver.line)),
+        bearing: turnover.getBearing(maneuver.line, 1, true, maneuver.lineLength)
+    };
+}
+
+/**
+ * Returns a key identifying the area around the given location, for finding
+ * nearby approaches.
+ *
+ * @param location {Array<Number>} A longitude and latitude.
+ * @param offsets {Array<Number>} Offsets in either direction, in units of
+ *  areas.
+ * @returns {String} A key.
+ */
+function getAreaKey(location, offsets) {
+    return `${Math.floor(location[0] * 1000) + offsets[0]},${Math.floor(location[1] * 1000) + offsets[1]}`;
+}
+
+/**
+ * Returns the names of the attributes that differ between the given maneuver
+ * summaries.
+ *
+ * @param oldSummary {Object} A maneuver summary from the old snapshot.
+ * @param newSummary {Object} A maneuver summary from the new snapshot.
+ * @returns {Array<String>} Names among `comparedAttributes`.
+ */
+function getChangedAttributes(oldSummary, newSummary) {
+    return comparedAttributes.filter(attribute => {
+        let oldValue = oldSummary[attribute];
+        let newValue = newSummary[attribute];
+        if (oldValue === undefined || newValue === undefined) {
+            return oldValue !== newValue;
+        }
+        return Math.abs(Number(newValue) - Number(oldValue)) > tolerances[attribute];
+    });
+}
+
+/**
+ * Compares the maneuvers in two snapshots of the same region.
+ *
+ * Maneuvers are matched by their intersections and approaches rather than by
+ * the ways or nodes at which they begin, so splitting or joining ways along a
+ * turn lane does not result in a change. Two maneuvers match if they make the
+ * same turn from the same kind of lane, they end in intersections that share
+ * a junction node (or end within `maxViaDistance` of each other), and their
+ * approaches are no more than `maxApproachAngle` apart.
+ *
+ * A snapshot object has the following properties:
+ *
+ * - dataset {Object} A dataset object returned by `indexElements()`.
+ * - maneuvers {Array<Object>} Flattened maneuvers returned by
+ *      `getManeuvers()` for the dataset.
+ *
+ * A change object has the following properties:
+ *
+ * - change {String} "added", "removed", or "modified".
+ * - old {Object} The summary of the maneuver in the old snapshot, if any.
+ * - new {Object} The summary of the maneuver in the new snapshot, if any.
+ * - changes {Array<String>} The names of the attributes that were modified,
+ *      among `comparedAttributes`.
+ * - line {LineString} The maneuver's geometry in the new snapshot, or in the
+ *      old snapshot if it was removed.
+ *
+ * @param oldSnapshot {Object} The earlier snapshot.
+ * @param newSnapshot {Object} The later snapshot.
+ * @returns {Array<Object>} Change objects, not including maneuvers that are
+ *  unchanged.
+ */
+function diffManeuvers(oldSnapshot, newSnapshot) {
+    let oldApproaches = oldSnapshot.maneuvers.map(maneuver => getApproach(maneuver, oldSnapshot.dataset));
+    let newApproaches = newSnapshot.maneuvers.map(maneuver => getApproach(maneuver, newSnapshot.dataset));
+    
+    // Index the new approaches by their junction nodes and by area.
+    let newApproachesByNodeId = {};
+    let newApproachesByArea = {};
+    newApproaches.forEach(approach => {
+        approach.nodeIds.forEach(nodeId => {
+            if (!(nodeId in newApproachesByNodeId)) {
+                newApproachesByNodeId[nodeId] = [];
+            }
+            newApproachesByNodeId[nodeId].push(approach);
+        });
+        let areaKey = getAreaKey(approach.location, [0, 0]);
+        if (!(areaKey in newApproachesByArea)) {
+            newApproachesByArea[areaKey] = [];
+        }
+        newApproachesByArea[areaKey].push(approach);
+    });
+    
+    // Pair up each old approach with any similar new approaches.
+    let pairs = [];
+    oldApproaches.forEach(oldApproach => {
+        let candidates = _.uniq(_.flatMap(oldApproach.nodeIds, nodeId => newApproachesByNodeId[nodeId] || []));
+        if (!candidates.length) {
+            // The intersection's nodes may have been replaced, so look for
+            // approaches to the same location.
+            let areaKeys = _.flatMap([-1, 0, 1], x => [-1, 0, 1].map(y => getAreaKey(oldApproach.location, [x, y])));
+            candidates = _.flatMap(areaKeys, areaKey => newApproachesByArea[areaKey] || [])
+                .filter(newApproach => turf.distance(oldApproach.location, newApproach.location, {
+                    units: "meters"
+                }) <= maxViaDistance);
+        }
+        candidates.forEach(newApproach => {
+            if (newApproach.maneuver.turn !== oldApproach.maneuver.turn ||
+                newApproach.maneuver.kind !== oldApproach.maneuver.kind) {
+                return;
+            }
+            let angle = Math.abs(turnover.getBearingDelta(oldApproach.bearing, newApproach.bearing));
+            if (angle <= maxApproachAngle) {
+                pairs.push([oldApproach, newApproach, angle]);
+            }
+        });
+    });
+    
+    // Match the most similar pairs first, so that each approach is matched at
+    // most once.
+    let matchedApproaches = new Set();
+    let changes = [];
+    _.sortBy(pairs, pair => pair[2]).forEach(pair => {
+        if (matchedApproaches.has(pair[0]) || matchedApproaches.has(pair[1])) {
+            return;
+        }
+        matchedApproaches.add(pair[0]);
+        matchedApproaches.add(pair[1]);
+        
+        let changedAttributes = getChangedAttributes(pair[0].summary, pair[1].summary);
+        if (changedAttributes.length) {
+            changes.push({
+                change: "modified",
+                old: pair[0].summary,
+                new: pair[1].summary,
+                changes: changedAttributes,
+                line: pair[1].maneuver.line
+            });
+        }
+    });
+    
+    oldApproaches.filter(approach => !matchedApproaches.has(approach)).forEach(approach => {
+        changes.push({
+            change: "removed",
+            old: approach.summary,
+            changes: [],
+            line: approach.maneuver.line
+        });
+    });
+    newApproaches.filter(approach => !matchedApproaches.has(approach)).forEach(approach => {
+        changes.push({
+            change: "added",
+            new: approach.summary,
+            changes: [],
+            line: approach.maneuver.line
+        });
+    });
+    return changes;
+}
+
+/**
+ * {Array<String>} The columns in a tab-delimited representation of changes.
+ */
+const columns = ["change", "changes", "oldFromNode", "oldViaNode", "newFromNode", "newViaNode", "intersection", "turn", "kind"]
+    .concat(_.flatMap(comparedAttributes, attribute => [`old${_.upperFirst(attribute)}`, `new${_.upperFirst(attribute)}`]));
+
+/**
+ * Returns a tab-delimited representation of the given change.
+ *
+ * @param change {Object} A change object returned by `diffManeuvers()`.
+ * @returns {String} One line of tab-delimited values, not including a line
+ *  break.
+ */
+function formatTSV(change) {
+    let oldSummary = change.old || {};
+    let newSummary = change.new || {};
+    let current = change.new || change.old;
+    let values = [change.change, change.changes.join(","), oldSummary.fromNode, oldSummary.viaNode,
+                  newSummary.fromNode, newSummary.viaNode, current.intersection, current.turn, current.kind]
+        .concat(_.flatMap(comparedAttributes, attribute => [oldSummary[attribute], newSummary[attribute]]));
+    return values.map(value => value === undefined ? "" : value).join("\t");
+}
+
+/**
+ * Returns a GeoJSON feature representing the given change.
+ *
+ * @param change {Object} A change object returned by `diffManeuvers()`.
+ * @returns {Feature<LineString>} A feature whose geometry is the maneuver's
+ *  turn lane.
+ */
+function getFeature(change) {
+    return turf.feature(turf.getGeom(change.line), {
+        change: change.change,
+        changes: change.changes,
+        old: change.old,
+        new: change.new
+    });
+}
+
+/**
+ * {Object<Function>} Supported formats for reporting changes. Each format is
+ * a function that converts an array of changes into the contents of a report.
+ */
+const formats = {
+    tsv: changes => [columns.join("\t")].concat(changes.map(formatTSV)).map(row => row + "\n").join(""),
+    geojson: changes => JSON.stringify(turf.featureCollection(changes.map(getFeature))) + "\n"
+};
+
+/**
+ * Returns a report of the given changes in the given format.
+ *
+ * @param changes {Array<Object>} Change objects returned by
+ *  `diffManeuvers()`.
+ * @param format {String} The name of a report format.
+ * @returns {String} The contents of the report.
+ */
+function formatChanges(changes, format) {
+    let formatter = formats[format];
+    if (!formatter) {
+        throw new Error(`Unrecognized diff format ${format}.`);
+    }
+    return formatter(changes);
+}
+
+module.exports = {
+    comparedAttributes: comparedAttributes,
+    formats: formats,
+    diffManeuvers: diffManeuvers,
+    formatTSV: formatTSV,
+    getFeature: getFeature,
+    formatChanges: formatChanges
+};
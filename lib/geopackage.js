@@ -0,0 +1,389 @@
+"use strict";
+
+let _ = require("lodash");
+let turf = require("@turf/turf");
+
+let fs = require("fs");
+let initSqlJs = require("sql.js");
+
+let turnover = require("../index");
+let intersections = require("./intersections");
+
+/**
+ * {Number} The SQLite application ID that identifies a GeoPackage file, the
+ * ASCII string "GPKG".
+ */
+const applicationId = 0x47504B47;
+
+/**
+ * {Number} The version of the GeoPackage specification that the database
+ * conforms to, 1.3.0.
+ */
+const userVersion = 10300;
+
+/**
+ * {Number} The spatial reference system of all geometries, WGS 84.
+ */
+const srsId = 4326;
+
+/**
+ * {Array<String>} Statements that create the tables required by the
+ * GeoPackage specification, if they do not already exist.
+ */
+const metadataSchema = [
+    `CREATE TABLE IF NOT EXISTS gpkg_spatial_ref_sys (
+        srs_name TEXT NOT NULL,
+        srs_id INTEGER NOT NULL PRIMARY KEY,
+        organization TEXT NOT NULL,
+        organization_coordsys_id INTEGER NOT NULL,
+        definition TEXT NOT NULL,
+        description TEXT
+    )`,
+    `CREATE TABLE IF NOT EXISTS gpkg_contents (
+        table_name TEXT NOT NULL PRIMARY KEY,
+        data_type TEXT NOT NULL,
+        identifier TEXT UNIQUE,
+        description TEXT DEFAULT '',
+        last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+        min_x DOUBLE,
+        min_y DOUBLE,
+        max_x DOUBLE,
+        max_y DOUBLE,
+        srs_id INTEGER REFERENCES gpkg_spatial_ref_sys(srs_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS gpkg_geometry_columns (
+        table_name TEXT NOT NULL UNIQUE REFERENCES gpkg_contents(table_name),
+        column_name TEXT NOT NULL,
+        geometry_type_name TEXT NOT NULL,
+        srs_id INTEGER NOT NULL REFERENCES gpkg_spatial_ref_sys(srs_id),
+        z TINYINT NOT NULL,
+        m TINYINT NOT NULL,
+        PRIMARY KEY (table_name, column_name)
+    )`,
+    `INSERT OR IGNORE INTO gpkg_spatial_ref_sys VALUES
+        ('WGS 84 geodetic', 4326, 'EPSG', 4326, 'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]', 'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid'),
+        ('Undefined Cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined Cartesian coordinate reference system'),
+        ('Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system')`
+];
+
+/**
+ * {Object<Object>} The tables that hold the results of each run. Each table
+ * has a `description`, an optional `geometryType` for a table of features, and
+ * a `columns` object mapping each column name to its SQL type, not including
+ * the primary key `fid` or the geometry column `geom`.
+ */
+const tables = {
+    runs: {
+        description: "Each analysis saved to the database",
+        columns: {
+            input: "TEXT",
+            date: "TEXT",
+            profile: "TEXT",
+            at: "TEXT",
+            drivingSide: "TEXT",
+            detailed: "INTEGER",
+            config: "TEXT"
+        }
+    },
+    maneuvers: {
+        description: "Turn lanes and the maneuvers they allow",
+        geometryType: "LINESTRING",
+        columns: {
+            runId: "INTEGER REFERENCES runs(fid)",
+            kind: "TEXT",
+            fromNode: "INTEGER",
+            viaNode: "INTEGER",
+            intersection: "INTEGER",
+            turn: "TEXT",
+            toWay: "INTEGER",
+            fromClass: "TEXT",
+            toClass: "TEXT",
+            lanes: "INTEGER",
+            dedicatedLanes: "INTEGER",
+            sharedLanes: "INTEGER",
+            restrictedLanes: "INTEGER",
+            profile: "TEXT",
+            control: "TEXT",
+            conditionalTags: "TEXT",
+            linkMethod: "TEXT",
+            crossStreetMethod: "TEXT",
+            turnAngle: "REAL",
+            length: "REAL",
+            protected: "INTEGER",
+            protectedLength: "REAL",
+            storageLength: "REAL",
+            taperLength: "REAL",
+            maxSpeed: "REAL",
+            maxSpeedSource: "TEXT"
+        }
+    },
+    maneuver_ways: {
+        description: "The ways along each turn lane, in order",
+        columns: {
+            runId: "INTEGER REFERENCES runs(fid)",
+            maneuverId: "INTEGER REFERENCES maneuvers(fid)",
+            sequence: "INTEGER",
+            way: "INTEGER",
+            progression: "INTEGER"
+        }
+    },
+    intersections: {
+        description: "The junction nodes of each intersection at the end of a turn lane",
+        geometryType: "POINT",
+        columns: {
+            runId: "INTEGER REFERENCES runs(fid)",
+            intersection: "INTEGER",
+            node: "INTEGER"
+        }
+    },
+    warnings: {
+        description: "Potential tagging errors",
+        geometryType: "POINT",
+        columns: {
+            runId: "INTEGER REFERENCES runs(fid)",
+            type: "TEXT",
+            severity: "TEXT",
+            message: "TEXT",
+            ways: "TEXT",
+            nodes: "TEXT"
+        }
+    }
+};
+
+/**
+ * Encodes the given geometry in the GeoPackage binary format: a header
+ * containing the spatial reference system and the bounding box, followed by
+ * the geometry in the well-known binary format.
+ *
+ * @param geometry {Geometry} A Point or LineString geometry.
+ * @returns {Buffer} The encoded geometry.
+ */
+function encodeGeometry(geometry) {
+    let isPoint = geometry.type === "Point";
+    let coords = isPoint ? [geometry.coordinates] : geometry.coordinates;
+    let bbox = turf.bbox(geometry);
+    
+    let header = Buffer.alloc(8 + 4 * 8);
+    header.write("GP", 0, "ascii");
+    header.writeUInt8(0, 2);
+    // Little-endian, with an envelope of minimum and maximum x and y.
+    header.writeUInt8(0x03, 3);
+    header.writeInt32LE(srsId, 4);
+    [bbox[0], bbox[2], bbox[1], bbox[3]].forEach((value, idx) => header.writeDoubleLE(value, 8 + idx * 8));
+    
+    let wkb = Buffer.alloc(5 + (isPoint ? 0 : 4) + coords.length * 16);
+    wkb.writeUInt8(1, 0);
+    wkb.writeUInt32LE(isPoint ? 1 : 2, 1);
+    let offset = 5;
+    if (!isPoint) {
+        wkb.writeUInt32LE(coords.length, offset);
+        offset += 4;
+    }
+    coords.forEach(coord => {
+        wkb.writeDoubleLE(coord[0], offset);
+        wkb.writeDoubleLE(coord[1], offset + 8);
+        offset += 16;
+    });
+    return Buffer.concat([header, wkb]);
+}
+
+/**
+ * Creates the GeoPackage metadata tables and the tables in `tables`, if they
+ * do not already exist.
+ *
+ * @param db {Database} A sql.js database.
+ */
+function createSchema(db) {
+    db.run(`PRAGMA application_id = ${applicationId}`);
+    db.run(`PRAGMA user_version = ${userVersion}`);
+    metadataSchema.forEach(statement => db.run(statement));
+    
+    _.forEach(tables, (table, name) => {
+        let columns = ["fid INTEGER PRIMARY KEY AUTOINCREMENT"];
+        if (table.geometryType) {
+            columns.push(`geom ${table.geometryType}`);
+        }
+        columns = columns.concat(_.map(table.columns, (type, column) => `"${column}" ${type}`));
+        db.run(`CREATE TABLE IF NOT EXISTS ${name} (${columns.join(", ")})`);
+        
+        db.run("INSERT OR IGNORE INTO gpkg_contents (table_name, data_type, identifier, description, srs_id) VALUES (?, ?, ?, ?, ?)", [
+            name,
+            table.geometryType ? "features" : "attributes",
+            name,
+            table.description,
+            table.geometryType ? srsId : null
+        ]);
+        if (table.geometryType) {
+            db.run("INSERT OR IGNORE INTO gpkg_geometry_columns VALUES (?, 'geom', ?, ?, 0, 0)", [
+                name,
+                table.geometryType,
+                srsId
+            ]);
+        }
+    });
+}
+
+/**
+ * Inserts a row into one of the tables in `tables`.
+ *
+ * @param db {Database} A sql.js database.
+ * @param name {String} The name of the table.
+ * @param row {Object} A table mapping column names to values. Undefined
+ *  values are stored as nulls, and a `geom` value is encoded as a GeoPackage
+ *  geometry.
+ * @returns {Number} The new row's `fid`.
+ */
+function insertRow(db, name, row) {
+    let columns = Object.keys(row);
+    let values = columns.map(column => {
+        let value = row[column];
+        if (value === undefined || value === null || Number.isNaN(value)) {
+            return null;
+        }
+        if (column === "geom") {
+            return encodeGeometry(value);
+        }
+        return typeof(value) === "boolean" ? Number(value) : value;
+    });
+    db.run(`INSERT INTO ${name} (${columns.map(column => `"${column}"`).join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`,
+           values);
+    return db.exec("SELECT last_insert_rowid()")[0].values[0][0];
+}
+
+/**
+ * Records that the given tables have changed, expanding the bounding box of
+ * each feature table in `gpkg_contents` to cover the given geometries.
+ *
+ * @param db {Database} A sql.js database.
+ * @param geometriesByTable {Object<Array<Geometry>>} A table mapping the name
+ *  of each table in `tables` to the geometries that were just added to it.
+ */
+function updateContents(db, geometriesByTable) {
+    _.forEach(geometriesByTable, (geometries, name) => {
+        db.run("UPDATE gpkg_contents SET last_change = strftime('%Y-%m-%dT%H:%M:%fZ', 'now') WHERE table_name = ?", [name]);
+        if (!geometries.length) {
+            return;
+        }
+        let bbox = turf.bbox(turf.geometryCollection(geometries));
+        db.run(`UPDATE gpkg_contents SET min_x = min(coalesce(min_x, ?1), ?1), min_y = min(coalesce(min_y, ?2), ?2),
+                max_x = max(coalesce(max_x, ?3), ?3), max_y = max(coalesce(max_y, ?4), ?4) WHERE table_name = ?5`,
+               bbox.concat(name));
+    });
+}
+
+/**
+ * Saves the given maneuvers and tagging issues to a GeoPackage file as a new
+ * run, creating the file if it does not exist.
+ *
+ * Each run is recorded in the `runs` table along with the input file, the
+ * date of the run, and the options that affected the analysis, so that
+ * several runs, perhaps covering different regions, can share a single
+ * database. Every other table has a `runId` column referring to a run.
+ *
+ * The following run information is supported:
+ *
+ * - input {String} The path to the input file.
+ * - date {Date} The date of the run, by default the current date.
+ * - options {Object} The options passed into `getManeuvers()`.
+ *
+ * @param path {String} The path to the GeoPackage file.
+ * @param maneuvers {Array<Object>} Flattened maneuvers returned by
+ *  `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuvers' ways.
+ * @param issues {Array<Object>} Issue objects, as described in
+ *  `reportIssue()`.
+ * @param run {Object} Information about the run.
+ * @param callback {Function} A function called with an error, if any, and
+ *  the ID of the new run.
+ */
+function writeGeoPackage(path, maneuvers, dataset, issues, run, callback) {
+    initSqlJs().then(SQL => {
+        let db = new SQL.Database(fs.existsSync(path) ? fs.readFileSync(path) : undefined);
+        let runId;
+        try {
+            createSchema(db);
+            db.run("BEGIN");
+            
+            let options = run.options || {};
+            runId = insertRow(db, "runs", {
+                input: run.input,
+                date: (run.date || new Date()).toISOString(),
+                profile: options.profile || "car",
+                at: options.at && String(options.at),
+                drivingSide: options.drivingSide,
+                detailed: !!options.detailed,
+                config: options.config && JSON.stringify(options.config)
+            });
+            
+            let geometriesByTable = _.mapValues(tables, () => []);
+            let addRow = (name, row) => {
+                if (row.geom) {
+                    geometriesByTable[name].push(row.geom);
+                }
+                return insertRow(db, name, row);
+            };
+            
+            let intersectionNodeIds = new Set();
+            maneuvers.forEach(maneuver => {
+                let summary = turnover.summarizeManeuver(maneuver, dataset);
+                let maneuverId = addRow("maneuvers", Object.assign({
+                    runId: runId,
+                    geom: turf.getGeom(maneuver.line),
+                    toWay: maneuver.toWay
+                }, _.pick(summary, Object.keys(tables.maneuvers.columns)), {
+                    conditionalTags: summary.conditionalTags.join(",") || undefined
+                }));
+                maneuver.fromWays.forEach((wayId, idx) => addRow("maneuver_ways", {
+                    runId: runId,
+                    maneuverId: maneuverId,
+                    sequence: idx,
+                    way: wayId,
+                    progression: maneuver.progressions[idx]
+                }));
+                
+                intersections.getNodeIds(dataset.intersections, maneuver.viaNode).forEach(nodeId => {
+                    if (intersectionNodeIds.has(nodeId)) {
+                        return;
+                    }
+                    intersectionNodeIds.add(nodeId);
+                    let node = dataset.nodesById[nodeId];
+                    addRow("intersections", {
+                        runId: runId,
+                        geom: turf.point([node.lon, node.lat]).geometry,
+                        intersection: summary.intersection,
+                        node: nodeId
+                    });
+                });
+            });
+            
+            (issues || []).forEach(issue => addRow("warnings", {
+                runId: runId,
+                geom: issue.location && turf.point(issue.location).geometry,
+                type: issue.type,
+                severity: issue.severity,
+                message: issue.message,
+                ways: issue.ways.join(","),
+                nodes: issue.nodes.join(",")
+            }));
+            
+            updateContents(db, geometriesByTable);
+            db.run("COMMIT");
+            fs.writeFileSync(path, Buffer.from(db.export()));
+        } finally {
+            db.close();
+        }
+        return runId;
+    }).then(runId => {
+        // Call back outside the promise chain, so that an exception thrown by
+        // the callback is not swallowed as a rejection.
+        setImmediate(() => callback(null, runId));
+    }, err => {
+        setImmediate(() => callback(err));
+    });
+}
+
+module.exports = {
+    tables: tables,
+    encodeGeometry: encodeGeometry,
+    writeGeoPackage: writeGeoPackage
+};
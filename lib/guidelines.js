@@ -0,0 +1,263 @@
+"use strict";
+
+let _ = require("lodash");
+let fs = require("fs");
+
+let config = require("./config");
+let maxspeed = require("./maxspeed");
+let summary = require("./summary");
+
+/**
+ * {Array<String>} The properties of a guideline, which may appear as columns
+ * in a CSV file or as keys in a JSON file.
+ */
+const guidelineKeys = ["name", "minSpeed", "maxSpeed", "turn", "fromClass", "control", "length", "protectedLength"];
+
+/**
+ * {Number} The tolerance in meters per second when comparing a speed limit to
+ * a guideline's speed range, to allow for rounding when converting units.
+ */
+const speedTolerance = 0.01;
+
+/**
+ * Parses the given comma-separated values according to RFC 4180.
+ *
+ * @param data {String} The contents of a CSV file.
+ * @returns {Array<Array<String>>} The rows, each an array of values.
+ */
+function parseCSV(data) {
+    let rows = [];
+    let row = [];
+    let value = "";
+    let isQuoted = false;
+    for (let idx = 0; idx < data.length; idx++) {
+        let c = data[idx];
+        if (isQuoted) {
+            if (c === "\"" && data[idx + 1] === "\"") {
+                value += c;
+                idx++;
+            } else if (c === "\"") {
+                isQuoted = false;
+            } else {
+                value += c;
+            }
+        } else if (c === "\"") {
+            isQuoted = true;
+        } else if (c === ",") {
+            row.push(value);
+            value = "";
+        } else if (c === "\n" || c === "\r") {
+            if (c === "\r" && data[idx + 1] === "\n") {
+                idx++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = "";
+        } else {
+            value += c;
+        }
+    }
+    if (value || row.length) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows.filter(row => row.some(value => value.trim()));
+}
+
+/**
+ * Returns a list of values from a guideline property that may be either an
+ * array or a semicolon-delimited string.
+ *
+ * @param value {Array<String>|String} The property's value.
+ * @returns {Array<String>} The values, or undefined if the property is empty.
+ */
+function parseList(value) {
+    let values = (Array.isArray(value) ? value : String(value || "").split(";"))
+        .map(item => String(item).trim())
+        .filter(item => item);
+    return values.length ? values : undefined;
+}
+
+/**
+ * Returns a complete guideline object based on the given properties.
+ *
+ * A guideline object has the following properties:
+ *
+ * - name {String} The guideline's name, or its position in the table, such as
+ *      "#1", if it is unnamed.
+ * - minSpeed {Number} The minimum speed limit in meters per second to which
+ *      the guideline applies.
+ * - maxSpeed {Number} The maximum speed limit in meters per second to which
+ *      the guideline applies.
+ * - turns {Array<String>} The turns to which the guideline applies. A full
+ *      turn such as "left" includes the corresponding slight and sharp turns,
+ *      such as "slight_left".
+ * - fromClasses {Array<String>} The road classifications to which the
+ *      guideline applies, optionally containing `*` wildcards.
+ * - controls {Array<String>} The kinds of traffic control to which the
+ *      guideline applies.
+ * - length {Number} The minimum length of the turn lane in meters.
+ * - protectedLength {Number} The minimum length in meters of the portion of
+ *      the turn lane that is subject to lane change restrictions.
+ *
+ * Any criterion that is undefined applies to every maneuver.
+ *
+ * @param properties {Object} Properties whose keys are in `guidelineKeys`.
+ *  Speeds may be numbers of kilometers per hour or strings with units, such
+ *  as "45 mph". Lists may be arrays or semicolon-delimited strings.
+ * @param idx {Number} The guideline's position in the table, starting from 0.
+ * @returns {Object} A guideline object.
+ */
+function resolveGuideline(properties, idx) {
+    let unknownKeys = _.difference(Object.keys(properties), guidelineKeys);
+    if (unknownKeys.length) {
+        throw new Error(`Unrecognized guideline property ${unknownKeys[0]}.`);
+    }
+    properties = _.omitBy(properties, value => value === undefined || value === null || value === "");
+    
+    let parseNumber = key => {
+        if (!(key in properties)) {
+            return undefined;
+        }
+        let number = key.endsWith("Speed") ? maxspeed.parseSpeed(properties[key]) : parseFloat(properties[key]);
+        if (number === undefined || isNaN(number)) {
+            throw new Error(`Guideline ${idx + 1} has unrecognized ${key} ${properties[key]}.`);
+        }
+        return number;
+    };
+    let guideline = {
+        name: properties.name ? String(properties.name) : `#${idx + 1}`,
+        minSpeed: parseNumber("minSpeed"),
+        maxSpeed: parseNumber("maxSpeed"),
+        turns: parseList(properties.turn),
+        fromClasses: parseList(properties.fromClass),
+        controls: parseList(properties.control),
+        length: parseNumber("length"),
+        protectedLength: parseNumber("protectedLength")
+    };
+    if (guideline.length === undefined && guideline.protectedLength === undefined) {
+        throw new Error(`Guideline ${idx + 1} must specify a length or protectedLength.`);
+    }
+    return guideline;
+}
+
+/**
+ * Reads a table of design guidelines from a file in JSON or CSV format.
+ *
+ * A JSON file contains an array of objects, and a CSV file contains a header
+ * row followed by one row per guideline. Either way, the properties or
+ * columns are those in `guidelineKeys`.
+ *
+ * @param path {String} The path to the guideline file. The file is parsed as
+ *  CSV if its name ends in `.csv` and as JSON otherwise.
+ * @returns {Array<Object>} Guideline objects, as described in
+ *  `resolveGuideline()`, in the order in which they appear in the file.
+ */
+function loadGuidelines(path) {
+    let data = fs.readFileSync(path, "utf8");
+    let table;
+    if (/\.csv$/i.test(path)) {
+        let rows = parseCSV(data.replace(/^\uFEFF/, ""));
+        let header = (rows[0] || []).map(key => key.trim());
+        table = rows.slice(1).map(row => _.zipObject(header, row.map(value => value.trim())));
+    } else {
+        table = JSON.parse(data);
+        if (!Array.isArray(table)) {
+            throw new Error("Guidelines must be an array.");
+        }
+    }
+    return table.map(resolveGuideline);
+}
+
+/**
+ * Returns the first of the given guidelines that applies to the given
+ * maneuver.
+ *
+ * @param maneuverSummary {Object} A maneuver summary returned by
+ *  `summarizeManeuver()`.
+ * @param guidelines {Array<Object>} Guideline objects, as described in
+ *  `resolveGuideline()`.
+ * @returns {Object} A guideline object, or undefined if no guideline applies.
+ */
+function findGuideline(maneuverSummary, guidelines) {
+    return guidelines.find(guideline => {
+        // A maneuver with an unknown speed limit only matches guidelines that
+        // apply to any speed.
+        if (guideline.minSpeed !== undefined &&
+            !(maneuverSummary.maxSpeed >= guideline.minSpeed - speedTolerance)) {
+            return false;
+        }
+        if (guideline.maxSpeed !== undefined &&
+            !(maneuverSummary.maxSpeed <= guideline.maxSpeed + speedTolerance)) {
+            return false;
+        }
+        // A guideline for a full turn also applies to the corresponding slight
+        // and sharp turns in detailed mode.
+        if (guideline.turns && !guideline.turns.includes(maneuverSummary.turn) &&
+            !guideline.turns.includes(maneuverSummary.turn.replace(/^(slight|sharp)_/, ""))) {
+            return false;
+        }
+        if (guideline.fromClasses &&
+            !guideline.fromClasses.some(pattern => config.matchesClass(maneuverSummary.fromClass, pattern))) {
+            return false;
+        }
+        return !guideline.controls || guideline.controls.includes(maneuverSummary.control);
+    });
+}
+
+/**
+ * Checks the given maneuver's length against the applicable design
+ * guideline.
+ *
+ * A compliance object has the following properties:
+ *
+ * - guideline {String} The name of the applicable guideline.
+ * - compliant {Boolean} True if the turn lane is at least as long as the
+ *      guideline requires.
+ * - requiredLength {Number} The minimum length of the turn lane in meters,
+ *      if the guideline specifies one.
+ * - lengthShortfall {Number} The number of meters by which the turn lane
+ *      falls short of `requiredLength`, or 0 if it is long enough.
+ * - requiredProtectedLength {Number} The minimum length in meters of the
+ *      portion of the turn lane that is subject to lane change restrictions,
+ *      if the guideline specifies one.
+ * - protectedLengthShortfall {Number} The number of meters by which the
+ *      protected portion of the turn lane falls short of
+ *      `requiredProtectedLength`, or 0 if it is long enough.
+ *
+ * @param maneuverSummary {Object} A maneuver summary returned by
+ *  `summarizeManeuver()`.
+ * @param guidelines {Array<Object>} Guideline objects, as described in
+ *  `resolveGuideline()`.
+ * @returns {Object} A compliance object, or undefined if no guideline
+ *  applies to the maneuver.
+ */
+function checkCompliance(maneuverSummary, guidelines) {
+    let guideline = findGuideline(maneuverSummary, guidelines);
+    if (!guideline) {
+        return undefined;
+    }
+    
+    let getShortfall = (required, actual) => required === undefined ? undefined : Math.max(0, required - actual);
+    let lengthShortfall = getShortfall(guideline.length, maneuverSummary.length);
+    let protectedLengthShortfall = getShortfall(guideline.protectedLength,
+                                                summary.getProtectedLength(maneuverSummary));
+    return {
+        guideline: guideline.name,
+        compliant: !lengthShortfall && !protectedLengthShortfall,
+        requiredLength: guideline.length,
+        lengthShortfall: lengthShortfall,
+        requiredProtectedLength: guideline.protectedLength,
+        protectedLengthShortfall: protectedLengthShortfall
+    };
+}
+
+module.exports = {
+    guidelineKeys: guidelineKeys,
+    parseCSV: parseCSV,
+    resolveGuideline: resolveGuideline,
+    loadGuidelines: loadGuidelines,
+    findGuideline: findGuideline,
+    checkCompliance: checkCompliance
+};
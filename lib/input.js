@@ -0,0 +1,271 @@
+"use strict";
+
+let _ = require("lodash");
+let sax = require("sax");
+
+/**
+ * Returns the format of the given OpenStreetMap data.
+ *
+ * @param fileName {String} The name of the file containing the data, if any.
+ * @param data {String|Buffer} The contents of the file, or at least the
+ *  beginning of it, if the file name is insufficient.
+ * @returns {String} "xml" for OSM XML, "json" for any flavor of OSM JSON, or
+ *  "pbf" for the OSM PBF format.
+ */
+function detectFormat(fileName, data) {
+    if (fileName) {
+        if (/\.pbf$/i.test(fileName)) {
+            return "pbf";
+        }
+        if (/\.(osm|xml)$/i.test(fileName)) {
+            return "xml";
+        }
+        if (/\.(json|geojson)$/i.test(fileName)) {
+            return "json";
+        }
+    }
+    
+    if (!data) {
+        return undefined;
+    }
+    
+    // A PBF file begins with the length of a header block named OSMHeader.
+    let head = data.slice(0, 1024).toString();
+    if (head.slice(4, 32).includes("OSMHeader")) {
+        return "pbf";
+    }
+    
+    // Sniff the first non-whitespace character, skipping any byte order mark.
+    head = head.replace(/^\uFEFF/, "").trimLeft();
+    return head.startsWith("<") ? "xml" : "json";
+}
+
+/**
+ * Parses a tag list in any of the forms used by OSM JSON flavors: an object
+ * mapping keys to values or an array of objects with `k` and `v` properties.
+ *
+ * @param tags {Object|Array<Object>} The tag list.
+ * @returns {Object} An object mapping keys to values.
+ */
+function normalizeTags(tags) {
+    if (Array.isArray(tags)) {
+        return _.fromPairs(tags.map(tag => [tag.k, tag.v]));
+    }
+    return tags || {};
+}
+
+/**
+ * Converts an element in any supported OSM JSON flavor to the Overpass JSON
+ * format.
+ *
+ * @param element {Object} A node, way, or relation.
+ * @param type {String} The element's type, if not specified by the element
+ *  itself.
+ * @returns {Object} The same element in Overpass JSON format.
+ */
+function normalizeElement(element, type) {
+    let normalized = {
+        type: element.type || type,
+        id: parseInt(element.id),
+        tags: normalizeTags(element.tags || element.tag)
+    };
+    switch (normalized.type) {
+        case "node":
+            normalized.lat = parseFloat(element.lat);
+            normalized.lon = parseFloat(element.lon);
+            break;
+        case "way":
+            // Overpass uses `nodes`, while some converters use `refs` or a
+            // list of `nd` objects.
+            normalized.nodes = (element.nodes || element.refs || element.nd || [])
+                .map(ref => parseInt(ref.ref || ref));
+            break;
+        case "relation":
+            normalized.members = (element.members || element.member || []).map(member => ({
+                type: member.type,
+                ref: parseInt(member.ref),
+                role: member.role || ""
+            }));
+            break;
+    }
+    return normalized;
+}
+
+/**
+ * Parses OpenStreetMap data in any of the supported OSM JSON flavors:
+ *
+ * - Overpass API or OSM API JSON, with a top-level `elements` array
+ * - A bare array of elements
+ * - JSON converted from OSM XML, with top-level `node`, `way`, and `relation`
+ *   arrays, optionally wrapped in an `osm` object
+ * - Line-delimited JSON, with one element per line
+ *
+ * @param data {String|Buffer} The JSON data.
+ * @returns {Array<Object>} Nodes, ways, and relations in the Overpass JSON
+ *  format.
+ */
+function parseJSON(data) {
+    let text = data.toString();
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (e) {
+        // Fall back to line-delimited JSON.
+        json = text.split("\n").filter(line => line.trim()).map(line => JSON.parse(line));
+    }
+    
+    if (json.osm) {
+        json = json.osm;
+    }
+    let elements;
+    if (Array.isArray(json)) {
+        elements = json.map(element => normalizeElement(element));
+    } else if (json.elements) {
+        elements = json.elements.map(element => normalizeElement(element));
+    } else {
+        elements = _.flatMap(["node", "way", "relation"],
+                             type => _.castArray(json[type] || []).map(element => normalizeElement(element, type)));
+    }
+    return elements.filter(element => ["node", "way", "relation"].includes(element.type));
+}
+
+/**
+ * Scans through OpenStreetMap data in an XML format, such as the OSM XML
+ * format or the osmChange format.
+ *
+ * @param data {String|Buffer} The XML data.
+ * @param onElement {Function} A function called with each node, way, and
+ *  relation in the Overpass JSON format, along with the action applied to it:
+ *  the element's `action` attribute in the case of a file saved by JOSM, or
+ *  the name of the enclosing `create`, `modify`, or `delete` element in the
+ *  case of an osmChange file.
+ */
+function scanXML(data, onElement) {
+    let element;
+    let action;
+    
+    let parser = sax.parser(true);
+    parser.onerror = err => {
+        throw err;
+    };
+    parser.onopentag = tag => {
+        let attrs = tag.attributes;
+        switch (tag.name) {
+            case "create":
+            case "modify":
+            case "delete":
+                action = tag.name;
+                break;
+            case "node":
+            case "way":
+            case "relation":
+                element = normalizeElement(Object.assign({
+                    type: tag.name
+                }, attrs));
+                element.action = attrs.action || action;
+                break;
+            case "tag":
+                if (element && element.tags) {
+                    element.tags[attrs.k] = attrs.v;
+                }
+                break;
+            case "nd":
+                if (element && element.nodes) {
+                    element.nodes.push(parseInt(attrs.ref));
+                }
+                break;
+            case "member":
+                if (element && element.members) {
+                    element.members.push({
+                        type: attrs.type,
+                        ref: parseInt(attrs.ref),
+                        role: attrs.role || ""
+                    });
+                }
+                break;
+        }
+    };
+    parser.onclosetag = name => {
+        if (["node", "way", "relation"].includes(name)) {
+            if (element) {
+                let elementAction = element.action;
+                delete element.action;
+                onElement(element, elementAction);
+            }
+            element = undefined;
+        } else if (["create", "modify", "delete"].includes(name)) {
+            action = undefined;
+        }
+    };
+    parser.write(data.toString()).close();
+}
+
+/**
+ * Parses OpenStreetMap data in the OSM XML format, such as a file saved by
+ * JOSM or downloaded from the OSM API.
+ *
+ * @param data {String|Buffer} The XML data.
+ * @returns {Array<Object>} Nodes, ways, and relations in the Overpass JSON
+ *  format.
+ */
+function parseXML(data) {
+    let elements = [];
+    scanXML(data, (element, action) => {
+        // Deleted elements in a JOSM file are dropped.
+        if (action !== "delete") {
+            elements.push(element);
+        }
+    });
+    return elements;
+}
+
+/**
+ * Parses a set of changes to OpenStreetMap data in the osmChange format, such
+ * as a replication diff (`.osc` file).
+ *
+ * @param data {String|Buffer} The XML data.
+ * @returns {Object} A table mapping each action ("create", "modify", and
+ *  "delete") to an array of the nodes, ways, and relations it applies to, in
+ *  the Overpass JSON format.
+ */
+function parseChange(data) {
+    let changes = {
+        create: [],
+        modify: [],
+        delete: []
+    };
+    scanXML(data, (element, action) => {
+        if (action in changes) {
+            changes[action].push(element);
+        }
+    });
+    return changes;
+}
+
+/**
+ * Parses OpenStreetMap data in any supported format.
+ *
+ * @param data {String|Buffer} The data to parse.
+ * @param format {String} "xml" or "json", or undefined to detect the format
+ *  automatically. PBF files must be read using `readPBF()` instead.
+ * @returns {Object} The data in the Overpass JSON format, with a top-level
+ *  `elements` array.
+ */
+function parse(data, format) {
+    format = format || detectFormat(undefined, data);
+    if (format === "pbf") {
+        throw new Error("PBF data must be streamed from a file using readPBF().");
+    }
+    let elements = format === "xml" ? parseXML(data) : parseJSON(data);
+    return {
+        elements: elements
+    };
+}
+
+module.exports = {
+    detectFormat: detectFormat,
+    parse: parse,
+    parseChange: parseChange,
+    parseJSON: parseJSON,
+    parseXML: parseXML
+};
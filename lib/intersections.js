@@ -0,0 +1,189 @@
+"use strict";
+
+let _ = require("lodash");
+let turf = require("@turf/turf");
+
+let config = require("./config");
+
+/**
+ * Returns the number of road segments that meet at the given node.
+ *
+ * @param dataset {Object} A dataset object returned by `indexElements()`.
+ * @param nodeId {Number} The ID of a node.
+ * @returns {Number} The number of road segments, counting a way that passes
+ *  through the node as two segments and a way that ends at the node as one.
+ */
+function getArmCount(dataset, nodeId) {
+    return _.sumBy(_.uniq(dataset.wayIdsByNodeId[nodeId] || []), wayId => {
+        let nodes = dataset.waysById[wayId].nodes;
+        return nodes.reduce((count, id, idx) => {
+            if (id !== nodeId) {
+                return count;
+            }
+            return count + (idx > 0 ? 1 : 0) + (idx < nodes.length - 1 ? 1 : 0);
+        }, 0);
+    });
+}
+
+/**
+ * Returns whether the given way carries traffic in only one direction, as the
+ * carriageways of a divided road do.
+ *
+ * @param way {Object} A way with a `progressions` property.
+ * @returns {Boolean} True if the way is one-way.
+ */
+function isOneWay(way) {
+    return !way.progressions.forward || !way.progressions.backward;
+}
+
+/**
+ * Groups the junctions in the given dataset into intersections.
+ *
+ * Where a road crosses a divided road, it forms a junction with each
+ * carriageway, and the short segment between the junctions is internal to the
+ * intersection. Two junctions belong to the same intersection if a segment no
+ * longer than `maxLength` joins them and each junction lies along a one-way
+ * way other than the joining way.
+ *
+ * An intersections object has the following properties:
+ *
+ * - intersectionIdsByNodeId {Object<Number>} A table mapping the ID of each
+ *      junction node to the ID of its intersection, which is the lowest ID
+ *      among the intersection's junction nodes.
+ * - nodeIdsByIntersectionId {Object<Array<Number>>} A table mapping the ID of
+ *      each intersection to the IDs of its junction nodes.
+ * - internalSegments {Set<String>} Keys of the form "way/from/to" identifying
+ *      the way segments that lie within intersections, in both directions.
+ * - maxLength {Number} The maximum length in meters of an internal segment
+ *      that was used to group the junctions.
+ *
+ * @param dataset {Object} A dataset object returned by `indexElements()`.
+ * @param maxLength {Number} The maximum length in meters of an internal
+ *  segment, such as the segment of a cross street that traverses the median
+ *  of a divided road, or undefined for the default `maxInternalLength` in
+ *  `config.defaults`.
+ * @returns {Object} An intersections object.
+ */
+function clusterIntersections(dataset, maxLength) {
+    if (maxLength === undefined) {
+        maxLength = config.defaults.maxInternalLength;
+    }
+    
+    let junctionIds = new Set();
+    _.keys(dataset.wayIdsByNodeId).forEach(key => {
+        let nodeId = parseInt(key);
+        if (getArmCount(dataset, nodeId) > 2) {
+            junctionIds.add(nodeId);
+        }
+    });
+    
+    // Keep track of the intersection each junction belongs to, initially its
+    // own.
+    let parentIds = {};
+    let findRoot = nodeId => {
+        while (parentIds[nodeId] !== undefined && parentIds[nodeId] !== nodeId) {
+            nodeId = parentIds[nodeId];
+        }
+        return nodeId;
+    };
+    
+    let isOnDividedRoad = (nodeId, exceptWay) => dataset.wayIdsByNodeId[nodeId]
+        .some(wayId => wayId !== exceptWay.id && isOneWay(dataset.waysById[wayId]));
+    
+    let internalSegments = new Set();
+    dataset.ways.forEach(way => {
+        let coords = turf.getCoords(way.line);
+        let distance = 0;
+        let lastJunction;
+        way.nodes.forEach((nodeId, idx) => {
+            if (idx) {
+                distance += turf.distance(coords[idx - 1], coords[idx], {
+                    units: "meters"
+                });
+            }
+            if (!junctionIds.has(nodeId)) {
+                return;
+            }
+            
+            // Join this junction and the previous one along the way.
+            if (lastJunction !== undefined && lastJunction.id !== nodeId &&
+                distance - lastJunction.distance <= maxLength &&
+                isOnDividedRoad(lastJunction.id, way) && isOnDividedRoad(nodeId, way)) {
+                internalSegments.add(`${way.id}/${lastJunction.id}/${nodeId}`);
+                internalSegments.add(`${way.id}/${nodeId}/${lastJunction.id}`);
+                let roots = [findRoot(lastJunction.id), findRoot(nodeId)];
+                parentIds[_.max(roots)] = _.min(roots);
+            }
+            lastJunction = {
+                id: nodeId,
+                distance: distance
+            };
+        });
+    });
+    
+    let intersectionIdsByNodeId = {};
+    let nodeIdsByIntersectionId = {};
+    junctionIds.forEach(nodeId => {
+        let intersectionId = findRoot(nodeId);
+        intersectionIdsByNodeId[nodeId] = intersectionId;
+        if (!(intersectionId in nodeIdsByIntersectionId)) {
+            nodeIdsByIntersectionId[intersectionId] = [];
+        }
+        nodeIdsByIntersectionId[intersectionId].push(nodeId);
+    });
+    
+    return {
+        intersectionIdsByNodeId: intersectionIdsByNodeId,
+        nodeIdsByIntersectionId: nodeIdsByIntersectionId,
+        internalSegments: internalSegments,
+        maxLength: maxLength
+    };
+}
+
+/**
+ * Returns the IDs of the junction nodes in the same intersection as the given
+ * node.
+ *
+ * @param intersections {Object} An intersections object returned by
+ *  `clusterIntersections()`, or undefined if intersections have not been
+ *  clustered.
+ * @param nodeId {Number} The ID of a node.
+ * @returns {Array<Number>} Node IDs, including the given node ID.
+ */
+function getNodeIds(intersections, nodeId) {
+    let intersectionId = intersections && intersections.intersectionIdsByNodeId[nodeId];
+    return intersectionId === undefined ? [nodeId] : intersections.nodeIdsByIntersectionId[intersectionId];
+}
+
+/**
+ * Returns whether traveling along the given way from the given node leads
+ * through the interior of an intersection.
+ *
+ * @param intersections {Object} An intersections object returned by
+ *  `clusterIntersections()`.
+ * @param way {Object} The way being traveled along.
+ * @param nodeId {Number} The ID of the junction node at which travel begins.
+ * @param progression {Number} A positive number for the forward direction or a
+ *  negative number for the backward direction.
+ * @returns {Boolean} True if the way leads to another junction in the same
+ *  intersection.
+ */
+function isInternal(intersections, way, nodeId, progression) {
+    if (!intersections) {
+        return false;
+    }
+    let step = Math.sign(progression);
+    for (let idx = way.nodes.indexOf(nodeId) + step; idx >= 0 && idx < way.nodes.length; idx += step) {
+        let nextNodeId = way.nodes[idx];
+        if (nextNodeId in intersections.intersectionIdsByNodeId) {
+            return intersections.internalSegments.has(`${way.id}/${nodeId}/${nextNodeId}`);
+        }
+    }
+    return false;
+}
+
+module.exports = {
+    clusterIntersections: clusterIntersections,
+    getNodeIds: getNodeIds,
+    isInternal: isInternal
+};
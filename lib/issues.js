@@ -0,0 +1,91 @@
+"use strict";
+
+let turf = require("@turf/turf");
+
+/**
+ * Returns a GeoJSON feature representing the given issue.
+ *
+ * @param issue {Object} An issue object, as described in `reportIssue()`.
+ * @returns {Feature<Point>} A point feature at the issue's location.
+ */
+function getFeature(issue) {
+    return turf.point(issue.location, {
+        type: issue.type,
+        severity: issue.severity,
+        message: issue.message,
+        ways: issue.ways,
+        nodes: issue.nodes
+    });
+}
+
+/**
+ * Returns a task in a MapRoulette challenge representing the given issue.
+ *
+ * A task is a feature collection containing a single feature. The feature's
+ * `@id` property refers to the first OpenStreetMap element involved in the
+ * issue, so that MapRoulette can load the element into an editor.
+ *
+ * @param issue {Object} An issue object, as described in `reportIssue()`.
+ * @returns {FeatureCollection<Point>} A feature collection representing the
+ *  task.
+ */
+function getTask(issue) {
+    let feature = getFeature(issue);
+    if (issue.ways.length) {
+        feature.properties["@id"] = `way/${issue.ways[0]}`;
+    } else if (issue.nodes.length) {
+        feature.properties["@id"] = `node/${issue.nodes[0]}`;
+    }
+    return turf.featureCollection([feature]);
+}
+
+/**
+ * {Object<Function>} Supported issue report formats. Each format is a function
+ * that converts an array of issues into the contents of a report.
+ */
+const formats = {
+    json: issues => JSON.stringify(issues, null, 2) + "\n",
+    geojson: issues => JSON.stringify(turf.featureCollection(issues.map(getFeature))) + "\n",
+    // MapRoulette's line-by-line GeoJSON format, with one task per line.
+    maproulette: issues => issues.map(issue => JSON.stringify(getTask(issue)) + "\n").join("")
+};
+
+/**
+ * Returns the issue report format implied by the given file name.
+ *
+ * @param fileName {String} The name of the report file.
+ * @returns {String} The name of a report format.
+ */
+function detectFormat(fileName) {
+    if (/\.geojson$/i.test(fileName)) {
+        return "geojson";
+    }
+    if (/\.(geojsonl|geojsonseq|ndjson)$/i.test(fileName)) {
+        return "maproulette";
+    }
+    return "json";
+}
+
+/**
+ * Returns a report of the given issues in the given format.
+ *
+ * @param issues {Array<Object>} Issue objects, as described in
+ *  `reportIssue()`.
+ * @param format {String} The name of a report format.
+ * @returns {String} The contents of the report.
+ */
+function formatIssues(issues, format) {
+    let formatter = formats[format];
+    if (!formatter) {
+        throw new Error(`Unrecognized issue report format ${format}.`);
+    }
+    return formatter(issues);
+}
+
+module.exports = {
+    formats: formats,
+    detectFormat: detectFormat,
+    getFeature: getFeature,
+    getTask: getTask,
+    formatIssues: formatIssues
+};
@@ -0,0 +1,182 @@
+"use strict";
+
+/**
+ * {Object<Number>} Conversion factors from each unit of speed recognized in
+ * `maxspeed` tags to meters per second.
+ */
+const unitFactors = {
+    "km/h": 1000 / (60 * 60),
+    "kmh": 1000 / (60 * 60),
+    "kph": 1000 / (60 * 60),
+    "mph": 1609.344 / (60 * 60),
+    "knots": 1852 / (60 * 60)
+};
+
+/**
+ * {Number} The speed in meters per second assumed for `maxspeed=walk`, which
+ * indicates that vehicles must travel at a walking pace.
+ */
+const walkingSpeed = 5 * unitFactors["km/h"];
+
+/**
+ * {Object<String>} Default speed limits implied by the implicit `maxspeed`
+ * values, such as `DE:urban`, in common use. Each value is a speed tag value
+ * as it would be written explicitly. (Where the limit varies by state or
+ * province, such as in the United States, the value is a typical one.)
+ */
+const implicitSpeeds = {
+    "AT:urban": "50",
+    "AT:rural": "100",
+    "AT:trunk": "100",
+    "AT:motorway": "130",
+    "AU:urban": "50",
+    "AU:rural": "100",
+    "BE:urban": "50",
+    "BE:motorway": "120",
+    "BE-VLG:rural": "70",
+    "BE-WAL:rural": "90",
+    "CA:urban": "50",
+    "CA:rural": "80",
+    "CH:urban": "50",
+    "CH:rural": "80",
+    "CH:trunk": "100",
+    "CH:motorway": "120",
+    "CZ:urban": "50",
+    "CZ:rural": "90",
+    "CZ:trunk": "110",
+    "CZ:motorway": "130",
+    "DE:living_street": "walk",
+    "DE:bicycle_road": "30",
+    "DE:urban": "50",
+    "DE:rural": "100",
+    "DE:motorway": "none",
+    "DK:urban": "50",
+    "DK:rural": "80",
+    "DK:motorway": "130",
+    "ES:urban": "50",
+    "ES:rural": "90",
+    "ES:motorway": "120",
+    "FI:urban": "50",
+    "FI:rural": "80",
+    "FI:motorway": "120",
+    "FR:urban": "50",
+    "FR:rural": "80",
+    "FR:motorway": "130",
+    "GB:nsl_single": "60 mph",
+    "GB:nsl_dual": "70 mph",
+    "GB:motorway": "70 mph",
+    "IT:urban": "50",
+    "IT:rural": "90",
+    "IT:trunk": "110",
+    "IT:motorway": "130",
+    "JP:nsl": "60",
+    "JP:express": "100",
+    "NL:urban": "50",
+    "NL:rural": "80",
+    "NL:trunk": "100",
+    "NL:motorway": "130",
+    "NO:urban": "50",
+    "NO:rural": "80",
+    "NO:motorway": "90",
+    "NZ:urban": "50",
+    "NZ:rural": "100",
+    "PL:urban": "50",
+    "PL:rural": "90",
+    "PL:expressway": "120",
+    "PL:motorway": "140",
+    "RU:living_street": "20",
+    "RU:urban": "60",
+    "RU:rural": "90",
+    "RU:motorway": "110",
+    "SE:urban": "50",
+    "SE:rural": "70",
+    "SE:motorway": "110",
+    "UA:urban": "50",
+    "UA:rural": "90",
+    "UA:motorway": "130",
+    "US:urban": "25 mph",
+    "US:rural": "55 mph",
+    "US:motorway": "65 mph"
+};
+
+/**
+ * {Array<String>} Countries in which speed limits are posted in miles per hour
+ * by default, for interpreting speed zones such as `GB:zone20`.
+ */
+const mphCountries = ["GB", "US"];
+
+/**
+ * Returns whether the given `maxspeed` value refers to a default speed limit
+ * rather than a posted one.
+ *
+ * @param value {String} A speed tag value.
+ * @returns {Boolean} True if the value is an implicit value such as
+ *  `DE:urban` or `DE:zone30`.
+ */
+function isImplicit(value) {
+    return /^[A-Z]{2}(-[A-Z]+)?:/.test(String(value).trim());
+}
+
+/**
+ * Returns the given speed tag value expressed in meters per second.
+ *
+ * Recognized values include:
+ *
+ * - A number of kilometers per hour, such as `50`
+ * - A number followed by a unit, such as `30 mph`, `30mph`, or `10 knots`
+ * - `walk`, for a walking pace
+ * - An implicit value, such as `US:urban` or `DE:rural`, which is resolved
+ *   to the country's default speed limit, or a speed zone, such as
+ *   `DE:zone30` or `GB:zone20`
+ *
+ * `none` and `signals` indicate that there is no fixed speed limit, so they
+ * result in undefined, as do unrecognized values.
+ *
+ * @param value {String|Number} A speed tag value.
+ * @returns {Number} The equivalent speed in meters per second, or undefined if
+ *  the value does not indicate a fixed speed limit.
+ */
+function parseSpeed(value) {
+    if (value === undefined || value === null || value === "") {
+        return undefined;
+    }
+    if (typeof(value) === "number") {
+        return value * unitFactors["km/h"];
+    }
+    
+    value = value.trim();
+    switch (value) {
+        case "walk":
+            return walkingSpeed;
+        case "none":
+        case "signals":
+        case "variable":
+            return undefined;
+    }
+    
+    if (isImplicit(value)) {
+        if (value in implicitSpeeds) {
+            return parseSpeed(implicitSpeeds[value]);
+        }
+        
+        // A speed zone, such as DE:zone30 or DE:zone:30.
+        let zone = value.match(/^([A-Z]{2})(?:-[A-Z]+)?:zone:?(\d+)$/);
+        if (zone) {
+            let unit = mphCountries.includes(zone[1]) ? "mph" : "km/h";
+            return parseFloat(zone[2]) * unitFactors[unit];
+        }
+        return undefined;
+    }
+    
+    let match = value.match(/^(\d+(?:\.\d+)?)\s*(km\/h|kmh|kph|mph|knots)?$/);
+    if (!match) {
+        return undefined;
+    }
+    return parseFloat(match[1]) * unitFactors[match[2] || "km/h"];
+}
+
+module.exports = {
+    implicitSpeeds: implicitSpeeds,
+    isImplicit: isImplicit,
+    parseSpeed: parseSpeed
+};
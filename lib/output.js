@@ -0,0 +1,278 @@
+"use strict";
+
+let _ = require("lodash");
+let turf = require("@turf/turf");
+
+let turnover = require("../index");
+
+/**
+ * {Object<Function>} The columns that may appear in a tabular representation of
+ * maneuvers. Each column is a function that is passed a maneuver's summary,
+ * as returned by `summarizeManeuver()`, the maneuver itself, and the dataset
+ * containing the maneuver's ways, and returns the value of the column.
+ */
+const columns = {
+    fromNode: summary => summary.fromNode,
+    viaNode: summary => summary.viaNode,
+    turn: summary => summary.turn,
+    fromClass: summary => summary.fromClass,
+    toClass: summary => summary.toClass,
+    lanes: summary => summary.lanes,
+    length: summary => summary.length,
+    protectedLength: summary => summary.protectedLength,
+    maxSpeed: summary => summary.maxSpeed,
+    maxSpeedSource: summary => summary.maxSpeedSource,
+    kind: summary => summary.kind,
+    dedicatedLanes: summary => summary.dedicatedLanes,
+    sharedLanes: summary => summary.sharedLanes,
+    intersection: summary => summary.intersection,
+    restrictedLanes: summary => summary.restrictedLanes,
+    profile: summary => summary.profile,
+    control: summary => summary.control,
+    conditionalTags: summary => (summary.conditionalTags || []).join(","),
+    storageLength: summary => summary.storageLength,
+    taperLength: summary => summary.taperLength,
+    linkMethod: summary => summary.linkMethod,
+    crossStreetMethod: summary => summary.crossStreetMethod,
+    fromWays: (summary, maneuver) => maneuver.fromWays.join(","),
+    toWay: (summary, maneuver) => maneuver.toWay,
+    fromName: (summary, maneuver, dataset) => dataset.waysById[_.last(maneuver.fromWays)].tags.name,
+    toName: (summary, maneuver, dataset) => maneuver.toWay && dataset.waysById[maneuver.toWay].tags.name,
+    approachBearing: (summary, maneuver) => turnover.getBearing(maneuver.line, 1, true, maneuver.lineLength),
+    turnAngle: summary => summary.turnAngle,
+    totalLanes: (summary, maneuver, dataset) => turnover.getLaneCount(dataset.waysById[_.last(maneuver.fromWays)],
+                                                                      _.last(maneuver.progressions)),
+    oneway: (summary, maneuver, dataset) => {
+        let progressions = dataset.waysById[_.last(maneuver.fromWays)].progressions;
+        return progressions.forward && progressions.backward ? "no" : "yes";
+    },
+    osmLink: summary => `https://www.openstreetmap.org/node/${summary.viaNode}`,
+    // Only available for a maneuver that has been checked against design
+    // guidelines.
+    guideline: (summary, maneuver) => maneuver.compliance && maneuver.compliance.guideline,
+    requiredLength: (summary, maneuver) => maneuver.compliance && maneuver.compliance.requiredLength,
+    lengthShortfall: (summary, maneuver) => maneuver.compliance && maneuver.compliance.lengthShortfall,
+    requiredProtectedLength: (summary, maneuver) => maneuver.compliance && maneuver.compliance.requiredProtectedLength,
+    protectedLengthShortfall: (summary, maneuver) => maneuver.compliance && maneuver.compliance.protectedLengthShortfall
+};
+
+/**
+ * {Array<String>} The columns in a tabular representation of maneuvers unless
+ * otherwise specified.
+ */
+const defaultColumns = ["fromNode", "viaNode", "turn", "fromClass", "toClass", "lanes", "length", "protectedLength",
+                        "maxSpeed", "maxSpeedSource", "kind", "dedicatedLanes", "sharedLanes", "intersection",
+                        "restrictedLanes", "profile", "control", "conditionalTags", "storageLength", "taperLength",
+                        "linkMethod", "crossStreetMethod"];
+
+/**
+ * {Array<String>} The columns added to `defaultColumns` when maneuvers are
+ * checked against design guidelines.
+ */
+const complianceColumns = ["guideline", "requiredLength", "lengthShortfall", "requiredProtectedLength",
+                           "protectedLengthShortfall"];
+
+/**
+ * Returns the values of the given columns for the given maneuver.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuver's ways.
+ * @param columnNames {Array<String>} Keys of `columns`, or undefined for
+ *  `defaultColumns`.
+ * @returns {Array} One value per column, undefined where a value is unknown.
+ */
+function getValues(maneuver, dataset, columnNames) {
+    let summary = turnover.summarizeManeuver(maneuver, dataset);
+    return (columnNames || defaultColumns).map(column => {
+        let value = columns[column](summary, maneuver, dataset);
+        return value === null || Number.isNaN(value) ? undefined : value;
+    });
+}
+
+/**
+ * Returns a tab-delimited row containing the given values. Any tabs or line
+ * breaks within a value are replaced by spaces.
+ *
+ * @param values {Array} The values in the row.
+ * @returns {String} One line of tab-delimited values, not including a line
+ *  break.
+ */
+function formatTSVRow(values) {
+    return values.map(value => value === undefined ? "" : String(value).replace(/[\t\r\n]/g, " ")).join("\t");
+}
+
+/**
+ * Returns a comma-separated row containing the given values, quoted as
+ * necessary according to RFC 4180.
+ *
+ * @param values {Array} The values in the row.
+ * @returns {String} One line of comma-separated values, not including a line
+ *  break.
+ */
+function formatCSVRow(values) {
+    return values.map(value => {
+        value = value === undefined ? "" : String(value);
+        return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, "\"\"")}"` : value;
+    }).join(",");
+}
+
+/**
+ * Returns a tab-delimited representation of the given maneuver.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuver's ways.
+ * @param columnNames {Array<String>} Keys of `columns`, or undefined for
+ *  `defaultColumns`.
+ * @returns {String} One line of tab-delimited values, not including a line
+ *  break.
+ */
+function formatTSV(maneuver, dataset, columnNames) {
+    return formatTSVRow(getValues(maneuver, dataset, columnNames));
+}
+
+/**
+ * Returns a comma-separated representation of the given maneuver.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuver's ways.
+ * @param columnNames {Array<String>} Keys of `columns`, or undefined for
+ *  `defaultColumns`.
+ * @returns {String} One line of comma-separated values, not including a line
+ *  break.
+ */
+function formatCSV(maneuver, dataset, columnNames) {
+    return formatCSVRow(getValues(maneuver, dataset, columnNames));
+}
+
+/**
+ * Returns a GeoJSON feature representing the given maneuver.
+ *
+ * The feature's geometry is the turn lane, and its properties include the
+ * summary returned by `summarizeManeuver()`, the ways that make up the turn
+ * lane, and the geometry of the portion of the turn lane that is subject to
+ * lane change restrictions, if only part of it is. If the maneuver has been
+ * checked against design guidelines, the properties also include the
+ * compliance object returned by `guidelines.checkCompliance()`.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuver's ways.
+ * @returns {Feature<LineString>} A feature representing the maneuver.
+ */
+function getFeature(maneuver, dataset) {
+    let summary = turnover.summarizeManeuver(maneuver, dataset);
+    let protectedLine = turnover.getProtectedLine(maneuver, dataset);
+    return turf.feature(turf.getGeom(maneuver.line), Object.assign(summary, {
+        fromWays: maneuver.fromWays,
+        progressions: maneuver.progressions,
+        toWay: maneuver.toWay,
+        protectionNode: maneuver.protectionNode,
+        protectedGeometry: protectedLine && turf.getGeom(protectedLine)
+    }, maneuver.compliance));
+}
+
+/**
+ * {Object<Object>} Supported output formats. Each format has optional `header`
+ * and `footer` strings, a `separator` string written between entries, and a
+ * `format` function that converts a maneuver into an entry. A tabular format's
+ * `header` is instead a function that is passed the column names and returns
+ * the header.
+ */
+const formats = {
+    tsv: {
+        header: columnNames => formatTSVRow(columnNames) + "\n",
+        separator: "",
+        format: (maneuver, dataset, columnNames) => formatTSV(maneuver, dataset, columnNames) + "\n"
+    },
+    csv: {
+        header: columnNames => formatCSVRow(columnNames) + "\r\n",
+        separator: "",
+        format: (maneuver, dataset, columnNames) => formatCSV(maneuver, dataset, columnNames) + "\r\n"
+    },
+    geojson: {
+        header: "{\"type\":\"FeatureCollection\",\"features\":[\n",
+        separator: ",\n",
+        footer: "\n]}\n",
+        format: (maneuver, dataset) => JSON.stringify(getFeature(maneuver, dataset))
+    },
+    // Newline-delimited GeoJSON, with one feature per line.
+    geojsonseq: {
+        separator: "\n",
+        footer: "\n",
+        format: (maneuver, dataset) => JSON.stringify(getFeature(maneuver, dataset))
+    }
+};
+
+/**
+ * Returns the output format implied by the given file name.
+ *
+ * @param fileName {String} The name of the output file, if any.
+ * @returns {String} The name of an output format, "html" for a report
+ *  produced by `report.formatReport()`, or "gpkg" for a GeoPackage written by
+ *  `geopackage.writeGeoPackage()`.
+ */
+function detectFormat(fileName) {
+    if (/\.geojson$/i.test(fileName)) {
+        return "geojson";
+    }
+    if (/\.(geojsonl|geojsonseq|ndjson)$/i.test(fileName)) {
+        return "geojsonseq";
+    }
+    if (/\.csv$/i.test(fileName)) {
+        return "csv";
+    }
+    if (/\.html?$/i.test(fileName)) {
+        return "html";
+    }
+    if (/\.(gpkg|sqlite|db)$/i.test(fileName)) {
+        return "gpkg";
+    }
+    return "tsv";
+}
+
+/**
+ * Writes the given maneuvers to a stream in the given format.
+ *
+ * @param maneuvers {Array<Object>} Flattened maneuvers returned by
+ *  `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuvers' ways.
+ * @param format {String} The name of an output format.
+ * @param stream {Writable} The stream to write to.
+ * @param columnNames {Array<String>} The keys of `columns` to include in a
+ *  tabular format, or undefined for `defaultColumns`.
+ */
+function writeManeuvers(maneuvers, dataset, format, stream, columnNames) {
+    let writer = formats[format];
+    if (!writer) {
+        throw new Error(`Unrecognized output format ${format}.`);
+    }
+    columnNames = columnNames || defaultColumns;
+    let unknownColumns = _.difference(columnNames, Object.keys(columns));
+    if (unknownColumns.length) {
+        throw new Error(`Unrecognized column ${unknownColumns[0]}.`);
+    }
+    
+    if (writer.header) {
+        stream.write(typeof(writer.header) === "function" ? writer.header(columnNames) : writer.header);
+    }
+    maneuvers.forEach((maneuver, idx) => {
+        if (idx) {
+            stream.write(writer.separator);
+        }
+        stream.write(writer.format(maneuver, dataset, columnNames));
+    });
+    if (writer.footer && (maneuvers.length || writer.header)) {
+        stream.write(writer.footer);
+    }
+}
+
+module.exports = {
+    columns: columns,
+    defaultColumns: defaultColumns,
+    complianceColumns: complianceColumns,
+    formats: formats,
+    detectFormat: detectFormat,
+    formatTSV: formatTSV,
+    formatCSV: formatCSV,
+    getFeature: getFeature,
+    writeManeuvers: writeManeuvers
+};
@@ -0,0 +1,136 @@
+"use strict";
+
+let fs = require("fs");
+let parseOSM = require("osm-pbf-parser");
+
+/**
+ * Returns whether the given way is tagged with turn lanes.
+ *
+ * @param way {Object} A way as emitted by the PBF parser.
+ * @returns {Boolean} True if the way has a `turn:lanes` tag or a directional
+ *  variant of it.
+ */
+function hasTurnLanes(way) {
+    return Object.keys(way.tags).some(key => /^turn:lanes(:|$)/.test(key));
+}
+
+/**
+ * Reads every element in a PBF file, one batch at a time.
+ *
+ * @param path {String} The path to the PBF file.
+ * @param onElement {Function} A function called with each element in the file.
+ * @param callback {Function} A function called with an error, if any, once the
+ *  whole file has been read.
+ */
+function scan(path, onElement, callback) {
+    let done = false;
+    let finish = err => {
+        if (!done) {
+            done = true;
+            callback(err);
+        }
+    };
+    
+    fs.createReadStream(path)
+        .on("error", finish)
+        .pipe(parseOSM())
+        .on("data", elements => elements.forEach(onElement))
+        .on("error", finish)
+        .on("end", () => finish());
+}
+
+/**
+ * Reads the turn lanes and the roads that intersect them from an OpenStreetMap
+ * PBF file, such as a Geofabrik extract, without loading the whole file into
+ * memory.
+ *
+ * The file is read three times. The first pass keeps only ways tagged with
+ * turn lanes. The second pass adds any roads that share a node with those
+ * ways, along with any relations that refer to the kept ways. The third pass
+ * collects only the nodes along the kept ways.
+ *
+ * @param path {String} The path to the PBF file.
+ * @param callback {Function} A function called with an error, if any, and an
+ *  object in the Overpass JSON format, with a top-level `elements` array.
+ */
+function readPBF(path, callback) {
+    let waysById = new Map();
+    let relations = [];
+    let nodeIds = new Set();
+    let nodes = [];
+    
+    let addWay = way => {
+        waysById.set(way.id, {
+            type: "way",
+            id: way.id,
+            tags: way.tags,
+            nodes: way.refs
+        });
+        way.refs.forEach(ref => nodeIds.add(ref));
+    };
+    
+    // Keep only ways that are tagged with turn lanes.
+    scan(path, element => {
+        if (element.type === "way" && hasTurnLanes(element)) {
+            addWay(element);
+        }
+    }, err => {
+        if (err) {
+            callback(err);
+            return;
+        }
+        
+        // Keep the roads that connect to the turn lanes at a shared node, as
+        // well as any relations among them.
+        let turnLaneNodeIds = new Set(nodeIds);
+        scan(path, element => {
+            if (element.type === "way" && element.tags.highway && !waysById.has(element.id) &&
+                element.refs.some(ref => turnLaneNodeIds.has(ref))) {
+                addWay(element);
+            } else if (element.type === "relation" &&
+                       element.members.some(member => member.type === "way" && waysById.has(member.id))) {
+                relations.push({
+                    type: "relation",
+                    id: element.id,
+                    tags: element.tags,
+                    members: element.members.map(member => ({
+                        type: member.type,
+                        ref: member.id,
+                        role: member.role
+                    }))
+                });
+            }
+        }, err => {
+            if (err) {
+                callback(err);
+                return;
+            }
+            
+            // Collect the nodes along the kept ways.
+            scan(path, element => {
+                if (element.type === "node" && nodeIds.has(element.id)) {
+                    nodes.push({
+                        type: "node",
+                        id: element.id,
+                        lat: element.lat,
+                        lon: element.lon,
+                        tags: element.tags
+                    });
+                }
+            }, err => {
+                if (err) {
+                    callback(err);
+                    return;
+                }
+                
+                callback(null, {
+                    elements: nodes.concat(Array.from(waysById.values()), relations)
+                });
+            });
+        });
+    });
+}
+
+module.exports = {
+    readPBF: readPBF
+};
@@ -0,0 +1,337 @@
+"use strict";
+
+let _ = require("lodash");
+let turf = require("@turf/turf");
+
+let turnover = require("../index");
+let summary = require("./summary");
+
+/**
+ * {Number} The width of the map in SVG user units. The height depends on the
+ * aspect ratio of the region being mapped.
+ */
+const mapWidth = 1000;
+
+/**
+ * {Object<String>} A table mapping each basic turn direction to the colour in
+ * which maneuvers in that direction are drawn. Slight and sharp turns share
+ * the colour of the corresponding turn.
+ */
+const turnColors = {
+    left: "#1f77b4",
+    right: "#d62728",
+    reverse: "#9467bd",
+    merge: "#7f7f7f"
+};
+
+/**
+ * {String} The colour in which tagging issues are drawn.
+ */
+const issueColor = "#ff7f0e";
+
+/**
+ * {String} Styles embedded in the report.
+ */
+const stylesheet = `
+body { font-family: sans-serif; margin: 0; display: flex; flex-direction: column; height: 100vh; }
+header { padding: 8px 16px; border-bottom: 1px solid #ccc; }
+header h1 { font-size: 1.2em; margin: 0 0 4px; }
+main { flex: 1; display: flex; min-height: 0; }
+#map { flex: 1; background: #f8f8f8; cursor: grab; }
+#map path { fill: none; stroke-width: 3; vector-effect: non-scaling-stroke; cursor: pointer; }
+#map path.unprotected { stroke-dasharray: 6 4; }
+#map path.selected { stroke: #000 !important; stroke-width: 6; }
+#map circle { fill: ${issueColor}; stroke: #fff; vector-effect: non-scaling-stroke; cursor: pointer; }
+aside { width: 360px; overflow-y: auto; border-left: 1px solid #ccc; padding: 8px 16px; }
+aside h2 { font-size: 1em; }
+table { border-collapse: collapse; font-size: 0.9em; }
+td, th { text-align: left; padding: 2px 8px 2px 0; vertical-align: top; }
+.legend span { display: inline-block; margin-right: 12px; }
+.legend i { display: inline-block; width: 24px; height: 0; border-top: 3px solid; vertical-align: middle; margin-right: 4px; }
+.legend i.unprotected { border-top-style: dashed; }
+.warning { color: #a04000; }
+.error { color: #c00000; }
+.info { color: #555; }
+.chart text { font-size: 11px; }
+`;
+
+/**
+ * {String} A script embedded in the report that shows the attributes of the
+ * selected maneuver or issue and lets the user pan and zoom the map.
+ */
+const script = `
+(function () {
+    var data = JSON.parse(document.getElementById("data").textContent);
+    var map = document.getElementById("map");
+    var details = document.getElementById("details");
+    var viewBox = map.viewBox.baseVal;
+    
+    function escape(value) {
+        return String(value).replace(/[&<>"]/g, function (c) {
+            return { "&": "&amp;", "<": "&lt;", ">": "&gt;", "\\"": "&quot;" }[c];
+        });
+    }
+    
+    function formatIssues(issues) {
+        if (!issues.length) {
+            return "<p>No warnings.</p>";
+        }
+        return "<ul>" + issues.map(function (idx) {
+            var issue = data.issues[idx];
+            return "<li class=\\"" + escape(issue.severity) + "\\">" + escape(issue.message) + "</li>";
+        }).join("") + "</ul>";
+    }
+    
+    function select(element) {
+        Array.prototype.forEach.call(map.querySelectorAll(".selected"), function (other) {
+            other.classList.remove("selected");
+        });
+        element.classList.add("selected");
+        
+        if (element.dataset.maneuver !== undefined) {
+            var maneuver = data.maneuvers[element.dataset.maneuver];
+            var rows = Object.keys(maneuver.attributes).map(function (key) {
+                return "<tr><th>" + escape(key) + "</th><td>" + escape(maneuver.attributes[key]) + "</td></tr>";
+            }).join("");
+            details.innerHTML = "<h2>Maneuver</h2><table>" + rows + "</table>" +
+                "<p><a href=\\"" + escape(maneuver.link) + "\\" target=\\"_blank\\">View on OpenStreetMap</a></p>" +
+                "<h2>Warnings</h2>" + formatIssues(maneuver.issues);
+        } else {
+            details.innerHTML = "<h2>Tagging issue</h2>" + formatIssues([+element.dataset.issue]);
+        }
+    }
+    
+    map.addEventListener("click", function (event) {
+        if (event.target.dataset.maneuver !== undefined || event.target.dataset.issue !== undefined) {
+            select(event.target);
+        }
+    });
+    
+    map.addEventListener("wheel", function (event) {
+        event.preventDefault();
+        var factor = event.deltaY > 0 ? 1.25 : 0.8;
+        var rect = map.getBoundingClientRect();
+        var x = viewBox.x + (event.clientX - rect.left) / rect.width * viewBox.width;
+        var y = viewBox.y + (event.clientY - rect.top) / rect.height * viewBox.height;
+        viewBox.x = x - (x - viewBox.x) * factor;
+        viewBox.y = y - (y - viewBox.y) * factor;
+        viewBox.width *= factor;
+        viewBox.height *= factor;
+    });
+    
+    var drag;
+    map.addEventListener("mousedown", function (event) {
+        drag = { x: event.clientX, y: event.clientY };
+    });
+    window.addEventListener("mousemove", function (event) {
+        if (!drag) {
+            return;
+        }
+        var rect = map.getBoundingClientRect();
+        viewBox.x -= (event.clientX - drag.x) / rect.width * viewBox.width;
+        viewBox.y -= (event.clientY - drag.y) / rect.height * viewBox.height;
+        drag = { x: event.clientX, y: event.clientY };
+    });
+    window.addEventListener("mouseup", function () {
+        drag = undefined;
+    });
+})();
+`;
+
+/**
+ * Escapes the given value for inclusion in HTML text or an attribute value.
+ *
+ * @param value {*} The value to escape.
+ * @returns {String} The escaped value.
+ */
+function escapeHTML(value) {
+    return String(value === undefined ? "" : value).replace(/[&<>"']/g, c => ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        "\"": "&quot;",
+        "'": "&#39;"
+    })[c]);
+}
+
+/**
+ * Returns the colour in which to draw a maneuver with the given turn.
+ *
+ * @param turn {String} The maneuver's turn, such as "slight_left".
+ * @returns {String} A CSS colour.
+ */
+function getTurnColor(turn) {
+    let direction = ["merge", "reverse", "left", "right"].find(direction => turn.includes(direction));
+    return turnColors[direction] || "#000";
+}
+
+/**
+ * Returns a function that projects coordinates into the map's SVG user units.
+ *
+ * The projection is equirectangular, scaled by the cosine of the region's
+ * middle latitude so that distances are roughly true to scale within a city
+ * or metropolitan area.
+ *
+ * @param bbox {Array<Number>} The region's bounding box as west, south, east,
+ *  north.
+ * @returns {Function} A function that is passed a longitude and latitude pair
+ *  and returns an x and y pair, with an additional `height` property that is
+ *  the height of the map.
+ */
+function getProjection(bbox) {
+    let aspect = Math.cos((bbox[1] + bbox[3]) / 2 * Math.PI / 180);
+    let scale = mapWidth / Math.max((bbox[2] - bbox[0]) * aspect, bbox[3] - bbox[1], 1e-6);
+    let project = coord => [
+        ((coord[0] - bbox[0]) * aspect * scale).toFixed(1),
+        ((bbox[3] - coord[1]) * scale).toFixed(1)
+    ];
+    project.height = Math.max((bbox[3] - bbox[1]) * scale, 1);
+    return project;
+}
+
+/**
+ * Returns the indices of the given issues that involve the given maneuver,
+ * because they refer to one of the maneuver's ways or to the node at either
+ * end of the turn lane.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @param issues {Array<Object>} Issue objects, as described in
+ *  `reportIssue()`.
+ * @returns {Array<Number>} Indices into `issues`.
+ */
+function getManeuverIssues(maneuver, issues) {
+    let wayIds = maneuver.toWay ? maneuver.fromWays.concat(maneuver.toWay) : maneuver.fromWays;
+    let nodeIds = [maneuver.fromNode, maneuver.viaNode];
+    return _.range(issues.length).filter(idx => _.intersection(issues[idx].ways, wayIds).length ||
+                                         _.intersection(issues[idx].nodes, nodeIds).length);
+}
+
+/**
+ * Returns an SVG bar chart of the median turn lane length in each of the given
+ * groups, with a whisker spanning the 25th to 75th percentiles.
+ *
+ * @param title {String} The chart's title.
+ * @param groups {Array<Object>} Group objects returned by
+ *  `summary.groupSummaries()`, each keyed by a single attribute.
+ * @param key {String} The attribute that the groups are keyed by.
+ * @returns {String} A `figure` element containing the chart.
+ */
+function formatChart(title, groups, key) {
+    let rowHeight = 18;
+    let labelWidth = 110;
+    let barWidth = 200;
+    let maxLength = _.max(groups.map(group => group.length.percentiles[75])) || 1;
+    let x = length => (labelWidth + length / maxLength * barWidth).toFixed(1);
+    let width = length => (length / maxLength * barWidth).toFixed(1);
+    
+    let rows = groups.map((group, idx) => {
+        let y = idx * rowHeight;
+        let distribution = group.length;
+        return `<text x="${labelWidth - 4}" y="${y + 13}" text-anchor="end">${escapeHTML(group.key[key] || "unknown")}</text>` +
+            `<rect x="${labelWidth}" y="${y + 3}" width="${width(distribution.median)}" height="${rowHeight - 6}" fill="#9ecae1"/>` +
+            `<line x1="${x(distribution.percentiles[25])}" x2="${x(distribution.percentiles[75])}" y1="${y + 9}" y2="${y + 9}" stroke="#08519c"/>` +
+            `<text x="${labelWidth + barWidth + 40}" y="${y + 13}">${distribution.median.toFixed(0)} m (${group.count})</text>`;
+    });
+    return `<figure class="chart"><figcaption>${escapeHTML(title)}</figcaption>` +
+        `<svg width="${labelWidth + barWidth + 120}" height="${groups.length * rowHeight}">${rows.join("")}</svg></figure>`;
+}
+
+/**
+ * Returns a self-contained HTML document that maps the given maneuvers,
+ * charts the distribution of their lengths, and shows the attributes and
+ * tagging issues of any maneuver that the user clicks on.
+ *
+ * The document has no external dependencies, so it can be viewed offline or
+ * shared with someone who does not use GIS software.
+ *
+ * The following options are supported:
+ *
+ * - title {String} The title of the report, such as the name of the input
+ *      file.
+ *
+ * @param maneuvers {Array<Object>} Flattened maneuvers returned by
+ *  `getManeuvers()`.
+ * @param dataset {Object} The dataset containing the maneuvers' ways.
+ * @param issues {Array<Object>} Issue objects, as described in
+ *  `reportIssue()`.
+ * @param options {Object} Options that affect the report.
+ * @returns {String} An HTML document.
+ */
+function formatReport(maneuvers, dataset, issues, options) {
+    options = options || {};
+    issues = issues || [];
+    let title = options.title ? `Turn lanes in ${options.title}` : "Turn lanes";
+    
+    let summaries = maneuvers.map(maneuver => turnover.summarizeManeuver(maneuver, dataset));
+    let coords = _.flatMap(maneuvers, maneuver => turf.getCoords(maneuver.line))
+        .concat(issues.map(issue => issue.location));
+    let project = getProjection(coords.length ? turf.bbox(turf.multiPoint(coords)) : [0, 0, 0, 0]);
+    
+    // Draw unprotected maneuvers first so that protected maneuvers show up on
+    // top of them.
+    let paths = _.sortBy(_.range(maneuvers.length), idx => summaries[idx].protected ? 1 : 0).map(idx => {
+        let points = _.sortedUniqBy(turf.getCoords(maneuvers[idx].line).map(project), point => point.join(","));
+        return `<path data-maneuver="${idx}" class="${summaries[idx].protected ? "protected" : "unprotected"}" ` +
+            `stroke="${getTurnColor(summaries[idx].turn)}" d="M${points.join("L")}"/>`;
+    });
+    let markers = issues.map((issue, idx) => {
+        let point = project(issue.location);
+        return `<circle data-issue="${idx}" cx="${point[0]}" cy="${point[1]}" r="4"/>`;
+    });
+    let legend = _.map(turnColors, (color, turn) => `<span><i style="color: ${color}"></i>${turn}</span>`)
+        .concat("<span><i></i>protected</span>", "<span><i class=\"unprotected\"></i>unprotected</span>",
+                `<span><svg width="10" height="10"><circle cx="5" cy="5" r="4" fill="${issueColor}"/></svg> tagging issue</span>`);
+    
+    let charts = [["speed", "Turn lane length by speed limit (km/h)"], ["fromClass", "Turn lane length by road class"]]
+        .map(chart => formatChart(chart[1], summary.groupSummaries(summaries, {
+            groupBy: [chart[0]]
+        }), chart[0]));
+    
+    let data = {
+        maneuvers: maneuvers.map((maneuver, idx) => ({
+            attributes: _.omitBy(Object.assign({
+                fromWays: maneuver.fromWays.join(","),
+                toWay: maneuver.toWay
+            }, summaries[idx], {
+                conditionalTags: summaries[idx].conditionalTags.join(",")
+            }, maneuver.compliance), value => value === undefined || value === ""),
+            link: `https://www.openstreetmap.org/node/${maneuver.viaNode}`,
+            issues: getManeuverIssues(maneuver, issues)
+        })),
+        issues: issues.map(issue => _.pick(issue, ["type", "severity", "message"]))
+    };
+    
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(title)}</title>
+<style>${stylesheet}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHTML(title)}</h1>
+<div>${maneuvers.length} maneuvers, ${issues.length} tagging issues. Scroll to zoom, drag to pan, and click a maneuver for details.</div>
+<div class="legend">${legend.join("")}</div>
+</header>
+<main>
+<svg id="map" viewBox="-10 -10 ${mapWidth + 20} ${(project.height + 20).toFixed(1)}" preserveAspectRatio="xMidYMid meet">
+${paths.join("\n")}
+${markers.join("\n")}
+</svg>
+<aside>
+<div id="details"><p>Click a maneuver or tagging issue on the map to see its attributes.</p></div>
+${charts.join("\n")}
+</aside>
+</main>
+<script id="data" type="application/json">${JSON.stringify(data).replace(/</g, "\\u003c")}</script>
+<script>${script}</script>
+</body>
+</html>
+`;
+}
+
+module.exports = {
+    escapeHTML: escapeHTML,
+    formatReport: formatReport
+};
@@ -0,0 +1,154 @@
+"use strict";
+
+let _ = require("lodash");
+
+let intersections = require("./intersections");
+
+/**
+ * {Object<String>} A table mapping the turn in each `restriction=*` value to
+ * the corresponding maneuver turn.
+ */
+const restrictionTurns = {
+    left_turn: "left",
+    right_turn: "right",
+    u_turn: "reverse",
+    straight_on: "through"
+};
+
+/**
+ * {Array<String>} Values of the `except` tag that exempt general motor traffic
+ * from a turn restriction.
+ */
+const exemptVehicles = ["vehicle", "motor_vehicle", "motorcar"];
+
+/**
+ * Parses a turn restriction relation.
+ *
+ * A restriction object has the following properties:
+ *
+ * - id {Number} The ID of the relation.
+ * - kind {String} "no" if the turn is prohibited or "only" if the turn is the
+ *      only one allowed.
+ * - turn {String} The restricted turn as "left", "right", "reverse", or
+ *      "through".
+ * - fromWays {Array<Number>} The IDs of the ways with the `from` role.
+ * - viaNode {Number} The ID of the node with the `via` role, if any.
+ * - viaWays {Array<Number>} The IDs of the ways with the `via` role, in
+ *      order.
+ * - toWays {Array<Number>} The IDs of the ways with the `to` role.
+ *
+ * @param relation {Object} A relation in the Overpass JSON format.
+ * @returns {Object} A restriction object, or undefined if the relation is not
+ *  a turn restriction that applies to general motor traffic.
+ */
+function parseRestriction(relation) {
+    let tags = relation.tags || {};
+    if (tags.type !== "restriction") {
+        return undefined;
+    }
+    
+    let value = tags["restriction:motorcar"] || tags["restriction:motor_vehicle"] || tags.restriction;
+    let match = value && value.match(/^(no|only)_(left_turn|right_turn|u_turn|straight_on)$/);
+    if (!match) {
+        return undefined;
+    }
+    
+    let exceptions = (tags.except || "").split(";").map(vehicle => vehicle.trim());
+    if (_.intersection(exceptions, exemptVehicles).length) {
+        return undefined;
+    }
+    
+    let membersWithRole = (role, type) => relation.members
+        .filter(member => member.role === role && member.type === type)
+        .map(member => member.ref);
+    let viaNodes = membersWithRole("via", "node");
+    return {
+        id: relation.id,
+        kind: match[1],
+        turn: restrictionTurns[match[2]],
+        fromWays: membersWithRole("from", "way"),
+        viaNode: viaNodes[0],
+        viaWays: membersWithRole("via", "way"),
+        toWays: membersWithRole("to", "way")
+    };
+}
+
+/**
+ * Indexes the turn restrictions among the given relations by the ways they
+ * restrict turns from.
+ *
+ * @param relations {Array<Object>} Relations in the Overpass JSON format.
+ * @returns {Object<Array<Object>>} A table mapping way IDs to the restriction
+ *  objects that have those ways in the `from` role.
+ */
+function indexRestrictions(relations) {
+    let restrictionsByFromWay = {};
+    relations.map(parseRestriction).filter(restriction => restriction).forEach(restriction => {
+        restriction.fromWays.forEach(wayId => {
+            if (!(wayId in restrictionsByFromWay)) {
+                restrictionsByFromWay[wayId] = [];
+            }
+            restrictionsByFromWay[wayId].push(restriction);
+        });
+    });
+    return restrictionsByFromWay;
+}
+
+/**
+ * Returns the turn restrictions that apply to turns from the given way at the
+ * given node.
+ *
+ * A restriction applies if its `via` member is the node itself or if its first
+ * `via` way begins or ends at the node.
+ *
+ * @param dataset {Object} The dataset containing the restrictions.
+ * @param fromWayId {Number} The ID of the way being turned from.
+ * @param viaNodeId {Number} The ID of the node at which the turn occurs.
+ * @returns {Array<Object>} Restriction objects.
+ */
+function getApplicableRestrictions(dataset, fromWayId, viaNodeId) {
+    let restrictions = (dataset.restrictionsByFromWay || {})[fromWayId] || [];
+    return restrictions.filter(restriction => {
+        if (restriction.viaNode !== undefined) {
+            return restriction.viaNode === viaNodeId;
+        }
+        let firstViaWay = dataset.waysById[restriction.viaWays[0]];
+        return firstViaWay && (_.first(firstViaWay.nodes) === viaNodeId || _.last(firstViaWay.nodes) === viaNodeId);
+    });
+}
+
+/**
+ * Returns the IDs of the ways that a restriction leads onto directly from its
+ * `via` node, or from the beginning of its `via` ways.
+ *
+ * If every `via` way lies within an intersection, such as a median crossing
+ * between the carriageways of a divided road, the restriction leads onto its
+ * `to` ways instead, because the intersection's internal segments are never
+ * candidate cross streets.
+ *
+ * @param restriction {Object} A restriction object.
+ * @param dataset {Object} The dataset containing the restriction's ways, with
+ *  an `intersections` property returned by
+ *  `intersections.clusterIntersections()`.
+ * @returns {Array<Number>} Way IDs.
+ */
+function getTargetWays(restriction, dataset) {
+    if (!restriction.viaWays.length) {
+        return restriction.toWays;
+    }
+    let isInternal = viaWayId => {
+        let viaWay = dataset.waysById[viaWayId];
+        return viaWay &&
+            intersections.isInternal(dataset.intersections, viaWay, _.first(viaWay.nodes), 1) &&
+            intersections.isInternal(dataset.intersections, viaWay, _.last(viaWay.nodes), -1);
+    };
+    return restriction.viaWays.every(isInternal) ? restriction.toWays : [restriction.viaWays[0]];
+}
+
+module.exports = {
+    restrictionTurns: restrictionTurns,
+    parseRestriction: parseRestriction,
+    indexRestrictions: indexRestrictions,
+    getApplicableRestrictions: getApplicableRestrictions,
+    getTargetWays: getTargetWays
+};
@@ -0,0 +1,247 @@
+"use strict";
+
+let _ = require("lodash");
+let turf = require("@turf/turf");
+
+let turnover = require("../index");
+let config = require("./config");
+let intersections = require("./intersections");
+
+/**
+ * {Number} The version of the saved state format, incremented whenever the
+ * format changes incompatibly.
+ */
+const stateVersion = 1;
+
+/**
+ * {Array<String>} The options to `getManeuvers()` that are saved along with
+ * the state, so that updates are analyzed the same way as the original data.
+ */
+const savedOptions = ["drivingSide", "detailed", "profile", "at", "config"];
+
+/**
+ * Returns a copy of the given element containing only the properties that
+ * come from OpenStreetMap, not those added by `indexElements()`.
+ *
+ * @param element {Object} A node, way, or relation in the Overpass JSON
+ *  format.
+ * @returns {Object} A copy of the element.
+ */
+function getRawElement(element) {
+    return _.pick(element, ["type", "id", "lat", "lon", "nodes", "tags", "members"]);
+}
+
+/**
+ * Returns a key that uniquely identifies the given element.
+ *
+ * @param element {Object} A node, way, or relation.
+ * @returns {String} A key such as "way/123".
+ */
+function getElementKey(element) {
+    return `${element.type}/${element.id}`;
+}
+
+/**
+ * Analyzes the given elements and returns the resulting state, which can be
+ * saved and updated incrementally.
+ *
+ * A state object has the following properties:
+ *
+ * - options {Object} The options that were passed into `getManeuvers()`,
+ *      limited to `savedOptions`.
+ * - elements {Array<Object>} The nodes, ways, and relations that were
+ *      analyzed, in the Overpass JSON format.
+ * - dataset {Object} The dataset object returned by `indexElements()`.
+ * - maneuvers {Array<Object>} The flattened maneuvers returned by
+ *      `getManeuvers()`.
+ *
+ * @param elements {Array<Object>} Nodes, ways, and relations in the Overpass
+ *  JSON format.
+ * @param options {Object} Options to pass into `getManeuvers()`.
+ * @returns {Object} A state object.
+ */
+function createState(elements, options) {
+    // Index copies of the elements, leaving the elements themselves unadorned.
+    let dataset = turnover.measure(options && options.stats, "indexing",
+                                   () => turnover.indexElements(elements.map(getRawElement)));
+    return {
+        options: _.pick(options, savedOptions),
+        elements: elements,
+        dataset: dataset,
+        maneuvers: turnover.getManeuvers(dataset, options)
+    };
+}
+
+/**
+ * Returns a JSON representation of the given state, for saving to disk.
+ *
+ * @param state {Object} A state object returned by `createState()` or
+ *  `applyChange()`.
+ * @returns {String} The state in JSON format.
+ */
+function serializeState(state) {
+    return JSON.stringify({
+        version: stateVersion,
+        options: state.options,
+        elements: state.elements.map(getRawElement),
+        maneuvers: state.maneuvers.map(maneuver => Object.assign(_.omit(maneuver, "next"), {
+            line: turf.getCoords(maneuver.line)
+        }))
+    });
+}
+
+/**
+ * Restores a state that was saved using `serializeState()`.
+ *
+ * @param data {String|Buffer} The state in JSON format.
+ * @returns {Object} A state object.
+ */
+function deserializeState(data) {
+    let saved = JSON.parse(data.toString());
+    if (saved.version !== stateVersion) {
+        throw new Error(`Unsupported state version ${saved.version}; expected ${stateVersion}.`);
+    }
+    
+    let dataset = turnover.indexElements(saved.elements.map(getRawElement));
+    let heuristics = config.resolveConfig(saved.options.config);
+    dataset.intersections = intersections.clusterIntersections(dataset, heuristics.maxInternalLength);
+    return {
+        options: saved.options,
+        elements: saved.elements,
+        dataset: dataset,
+        maneuvers: saved.maneuvers.map(maneuver => Object.assign(maneuver, {
+            line: turf.lineString(maneuver.line)
+        }))
+    };
+}
+
+/**
+ * Applies a set of changes to the given state, recomputing only the maneuvers
+ * affected by the changes.
+ *
+ * A maneuver is affected if any of its ways or its cross street was changed,
+ * or if a changed way or node touches the maneuver's endpoints or
+ * intersection. Any other maneuver along the same ways, or along a way that
+ * meets a changed way at either end, is recomputed as well, in case the ways
+ * are linked differently.
+ *
+ * An update object has the following properties:
+ *
+ * - state {Object} The updated state.
+ * - removedManeuvers {Array<Object>} The maneuvers in the original state that
+ *      were recomputed.
+ * - addedManeuvers {Array<Object>} The recomputed maneuvers in the updated
+ *      state.
+ *
+ * @param state {Object} A state object, which is left unmodified.
+ * @param changes {Object} Changes returned by `parseChange()`.
+ * @param options {Object} Additional options to pass into `getManeuvers()`,
+ *  such as `stats` and `issues`.
+ * @returns {Object} An update object.
+ */
+function applyChange(state, changes, options) {
+    let oldDataset = state.dataset;
+    let elementsByKey = new Map(state.elements.map(element => [getElementKey(element), element]));
+    
+    // Apply the changes to the elements, keeping track of the ways and nodes
+    // that they touch, both before and after the change.
+    let touchedWayIds = new Set();
+    let touchedNodeIds = new Set();
+    let touchedEndNodeIds = new Set();
+    let touchWay = way => {
+        touchedWayIds.add(way.id);
+        way.nodes.forEach(nodeId => touchedNodeIds.add(nodeId));
+        touchedEndNodeIds.add(_.first(way.nodes));
+        touchedEndNodeIds.add(_.last(way.nodes));
+    };
+    ["create", "modify", "delete"].forEach(action => changes[action].forEach(element => {
+        let key = getElementKey(element);
+        let oldElement = elementsByKey.get(key);
+        switch (element.type) {
+            case "node":
+                touchedNodeIds.add(element.id);
+                (oldDataset.wayIdsByNodeId[element.id] || []).forEach(wayId => touchWay(oldDataset.waysById[wayId]));
+                break;
+            case "way":
+                if (oldElement) {
+                    touchWay(oldElement);
+                }
+                if (action !== "delete") {
+                    touchWay(element);
+                }
+                break;
+            case "relation":
+                // A turn restriction may affect the cross streets of
+                // maneuvers along its member ways.
+                [oldElement, action === "delete" ? undefined : element].forEach(relation => {
+                    (relation && relation.members || []).filter(member => member.type === "way")
+                        .map(member => elementsByKey.get(`way/${member.ref}`))
+                        .filter(way => way)
+                        .forEach(touchWay);
+                });
+                break;
+        }
+        if (action === "delete") {
+            elementsByKey.delete(key);
+        } else {
+            elementsByKey.set(key, getRawElement(element));
+        }
+    }));
+    
+    // A way that was added or modified may refer to nodes that lie outside
+    // the original extract. Set such a way aside until its nodes are present.
+    let elements = Array.from(elementsByKey.values());
+    let isComplete = element => element.type !== "way" ||
+        element.nodes.every(nodeId => elementsByKey.has(`node/${nodeId}`));
+    let dataset = turnover.indexElements(elements.filter(isComplete).map(getRawElement));
+    let heuristics = config.resolveConfig(state.options.config);
+    dataset.intersections = intersections.clusterIntersections(dataset, heuristics.maxInternalLength);
+    
+    // Find the maneuvers affected by the changes.
+    let isTouchedNode = nodeId => touchedNodeIds.has(nodeId);
+    let affectedManeuvers = new Set(state.maneuvers.filter(maneuver =>
+        maneuver.fromWays.some(wayId => touchedWayIds.has(wayId)) ||
+        touchedWayIds.has(maneuver.toWay) ||
+        [maneuver.fromNode, maneuver.viaNode].some(isTouchedNode) ||
+        intersections.getNodeIds(oldDataset.intersections, maneuver.viaNode).some(isTouchedNode) ||
+        intersections.getNodeIds(dataset.intersections, maneuver.viaNode).some(isTouchedNode)));
+    
+    // Recompute every maneuver along the affected maneuvers' ways, including
+    // maneuvers that share a way with an affected maneuver. A touched way may
+    // also be linked to or from a maneuver along any way that meets it at
+    // either end, so recompute those ways as well.
+    let wayIds = new Set(touchedWayIds);
+    touchedEndNodeIds.forEach(nodeId => {
+        (oldDataset.wayIdsByNodeId[nodeId] || []).forEach(wayId => wayIds.add(wayId));
+        (dataset.wayIdsByNodeId[nodeId] || []).forEach(wayId => wayIds.add(wayId));
+    });
+    let newlyAffectedManeuvers = Array.from(affectedManeuvers);
+    do {
+        newlyAffectedManeuvers.forEach(maneuver => maneuver.fromWays.forEach(wayId => wayIds.add(wayId)));
+        newlyAffectedManeuvers = state.maneuvers.filter(maneuver => !affectedManeuvers.has(maneuver) &&
+                                                        maneuver.fromWays.some(wayId => wayIds.has(wayId)));
+        newlyAffectedManeuvers.forEach(maneuver => affectedManeuvers.add(maneuver));
+    } while (newlyAffectedManeuvers.length);
+    
+    let ways = Array.from(wayIds).map(wayId => dataset.waysById[wayId]).filter(way => way);
+    let addedManeuvers = turnover.getManeuvers(dataset, Object.assign({}, options, state.options, {
+        ways: ways
+    }));
+    return {
+        state: {
+            options: state.options,
+            elements: elements,
+            dataset: dataset,
+            maneuvers: state.maneuvers.filter(maneuver => !affectedManeuvers.has(maneuver)).concat(addedManeuvers)
+        },
+        removedManeuvers: Array.from(affectedManeuvers),
+        addedManeuvers: addedManeuvers
+    };
+}
+
+module.exports = {
+    createState: createState,
+    serializeState: serializeState,
+    deserializeState: deserializeState,
+    applyChange: applyChange
+};
@@ -0,0 +1,188 @@
+"use strict";
+
+let _ = require("lodash");
+
+/**
+ * {Array<String>} Attributes by which maneuvers can be grouped.
+ */
+const groupKeys = ["kind", "turn", "fromClass", "toClass", "lanes", "dedicatedLanes", "sharedLanes", "restrictedLanes", "control", "speed", "protected"];
+
+/**
+ * {Array<Number>} Percentiles reported for each group by default.
+ */
+const defaultPercentiles = [10, 25, 75, 90];
+
+/**
+ * Returns the speed bucket that contains the given speed.
+ *
+ * @param speed {Number} A speed in meters per second.
+ * @param bucketSize {Number} The size of each bucket in kilometers per hour.
+ * @returns {String} A label such as "40-50" for a bucket from 40 to 50
+ *  kilometers per hour, or the empty string if the speed is unknown.
+ */
+function getSpeedBucket(speed, bucketSize) {
+    if (!speed) {
+        return "";
+    }
+    let kph = speed * 60 * 60 / 1000;
+    let start = Math.floor(Math.round(kph * 1e6) / 1e6 / bucketSize) * bucketSize;
+    return `${start}-${start + bucketSize}`;
+}
+
+/**
+ * Returns the value at the given percentile of the given values, interpolating
+ * linearly between the closest ranks.
+ *
+ * @param sortedValues {Array<Number>} Values sorted in ascending order.
+ * @param percentile {Number} A percentile between 0 and 100.
+ * @returns {Number} The value at the percentile.
+ */
+function getPercentile(sortedValues, percentile) {
+    if (!sortedValues.length) {
+        return undefined;
+    }
+    let rank = percentile / 100 * (sortedValues.length - 1);
+    let lower = Math.floor(rank);
+    let upper = Math.ceil(rank);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (rank - lower);
+}
+
+/**
+ * Describes the distribution of the given values.
+ *
+ * A distribution object has the following properties:
+ *
+ * - mean {Number} The arithmetic mean.
+ * - median {Number} The median.
+ * - min {Number} The minimum value.
+ * - max {Number} The maximum value.
+ * - percentiles {Object<Number>} A table mapping each requested percentile to
+ *      the value at that percentile.
+ * - histogram {Object<Number>} A table mapping the lower bound of each bin to
+ *      the number of values in that bin.
+ *
+ * @param values {Array<Number>} The values to describe.
+ * @param percentiles {Array<Number>} The percentiles to calculate.
+ * @param binWidth {Number} The width of each histogram bin.
+ * @returns {Object} A distribution object.
+ */
+function describeDistribution(values, percentiles, binWidth) {
+    let sortedValues = _.sortBy(values);
+    let histogram = _.countBy(sortedValues, value => Math.floor(value / binWidth) * binWidth);
+    return {
+        mean: sortedValues.length ? _.mean(sortedValues) : undefined,
+        median: getPercentile(sortedValues, 50),
+        min: _.first(sortedValues),
+        max: _.last(sortedValues),
+        percentiles: _.fromPairs(percentiles.map(percentile => [percentile, getPercentile(sortedValues, percentile)])),
+        histogram: histogram
+    };
+}
+
+/**
+ * Returns the length of the portion of the given maneuver that is subject to
+ * lane change restrictions.
+ *
+ * @param summary {Object} A maneuver summary returned by
+ *  `summarizeManeuver()`.
+ * @returns {Number} The protected length in meters, which is zero if no part
+ *  of the turn lane is protected.
+ */
+function getProtectedLength(summary) {
+    if (!summary.protected) {
+        return 0;
+    }
+    return summary.protectedLength === undefined ? summary.length : summary.protectedLength;
+}
+
+/**
+ * Groups the given maneuvers by the given attributes and describes the
+ * distribution of turn lane lengths in each group.
+ *
+ * The following options are supported:
+ *
+ * - groupBy {Array<String>} The attributes to group by, any of `groupKeys`.
+ * - percentiles {Array<Number>} The percentiles to calculate.
+ * - binWidth {Number} The width of each histogram bin in meters.
+ * - speedBucket {Number} The size of each speed bucket in kilometers per hour.
+ *
+ * A group object has the following properties:
+ *
+ * - key {Object} A table mapping each attribute in `groupBy` to the value
+ *      shared by the maneuvers in the group.
+ * - count {Number} The number of maneuvers in the group.
+ * - length {Object} The distribution of total turn lane lengths.
+ * - protectedLength {Object} The distribution of the lengths of the portions
+ *      of the turn lanes that are subject to lane change restrictions.
+ *
+ * @param summaries {Array<Object>} Maneuver summaries returned by
+ *  `summarizeManeuver()`.
+ * @param options {Object} Options that affect the grouping.
+ * @returns {Array<Object>} Group objects, sorted by key.
+ */
+function groupSummaries(summaries, options) {
+    options = Object.assign({
+        groupBy: [],
+        percentiles: defaultPercentiles,
+        binWidth: 25,
+        speedBucket: 10
+    }, options);
+    let unknownKeys = _.difference(options.groupBy, groupKeys);
+    if (unknownKeys.length) {
+        throw new Error(`Unrecognized group key ${unknownKeys[0]}.`);
+    }
+    
+    let getKey = summary => _.fromPairs(options.groupBy.map(key => {
+        let value = key === "speed" ? getSpeedBucket(summary.maxSpeed, options.speedBucket) : summary[key];
+        return [key, value === undefined ? "" : value];
+    }));
+    let groups = _.groupBy(summaries, summary => JSON.stringify(_.values(getKey(summary))));
+    
+    return _.sortBy(_.values(groups).map(group => ({
+        key: getKey(group[0]),
+        count: group.length,
+        length: describeDistribution(group.map(summary => summary.length),
+                                     options.percentiles, options.binWidth),
+        protectedLength: describeDistribution(group.map(getProtectedLength),
+                                              options.percentiles, options.binWidth)
+    })), options.groupBy.map(key => group => group.key[key]));
+}
+
+/**
+ * Returns a tab-delimited representation of the given groups, including a
+ * header row.
+ *
+ * @param groups {Array<Object>} Group objects returned by `groupSummaries()`.
+ * @param groupBy {Array<String>} The attributes that the groups are keyed by.
+ * @param percentiles {Array<Number>} The percentiles in each distribution.
+ * @returns {String} Tab-delimited rows, each ending in a line break.
+ */
+function formatGroupsTSV(groups, groupBy, percentiles) {
+    percentiles = percentiles || defaultPercentiles;
+    let distributionColumns = ["mean", "median", "min", "max"]
+        .concat(percentiles.map(percentile => `p${percentile}`), "histogram");
+    let header = groupBy.concat("count",
+                                distributionColumns.map(column => `length_${column}`),
+                                distributionColumns.map(column => `protected_length_${column}`));
+    
+    let formatDistribution = distribution => {
+        let histogram = _.map(distribution.histogram, (count, bin) => `${bin}:${count}`).join(",");
+        return [distribution.mean, distribution.median, distribution.min, distribution.max]
+            .concat(percentiles.map(percentile => distribution.percentiles[percentile]), histogram);
+    };
+    let rows = groups.map(group => groupBy.map(key => group.key[key])
+                          .concat(group.count, formatDistribution(group.length),
+                                  formatDistribution(group.protectedLength)));
+    
+    return [header].concat(rows).map(row => row.map(value => value === undefined ? "" : value).join("\t") + "\n").join("");
+}
+
+module.exports = {
+    groupKeys: groupKeys,
+    getSpeedBucket: getSpeedBucket,
+    getPercentile: getPercentile,
+    describeDistribution: describeDistribution,
+    getProtectedLength: getProtectedLength,
+    groupSummaries: groupSummaries,
+    formatGroupsTSV: formatGroupsTSV
+};
@@ -0,0 +1,105 @@
+"use strict";
+
+let _ = require("lodash");
+
+/**
+ * Returns the width of each lane on the given way, as tagged with
+ * `width:lanes`.
+ *
+ * @param way {Object} The tagged way.
+ * @param progression {Number} A positive number for the forward direction or a
+ *  negative number for the backward direction.
+ * @param laneCount {Number} The number of lanes, as indicated by the turn
+ *  lanes.
+ * @returns {Array<Number>} One width in meters per lane, or undefined for a
+ *  lane of unknown width.
+ */
+function getLaneWidths(way, progression, laneCount) {
+    let direction = progression > 0 ? "forward" : "backward";
+    let tags = way.tags[`width:lanes:${direction}`] || way.tags["width:lanes"];
+    let widths = tags ? tags.split("|").map(value => parseFloat(value)) : [];
+    if (widths.length !== laneCount) {
+        return new Array(laneCount).fill(undefined);
+    }
+    return widths.map(width => isNaN(width) ? undefined : width);
+}
+
+/**
+ * Returns the placement of the given way relative to its lanes, which shifts
+ * sideways at the taper where a turn lane opens up.
+ *
+ * @param way {Object} The tagged way.
+ * @param progression {Number} A positive number for the forward direction or a
+ *  negative number for the backward direction.
+ * @returns {String} The value of the way's `placement:forward`,
+ *  `placement:backward`, or `placement` tag, such as "right_of:1" or
+ *  "transition", or undefined if the way has no placement tag.
+ */
+function getPlacement(way, progression) {
+    let direction = progression > 0 ? "forward" : "backward";
+    return way.tags[`placement:${direction}`] || way.tags.placement;
+}
+
+/**
+ * Divides the given maneuver into its taper, where the turn lane widens to
+ * its full width, and its storage, where vehicles wait to turn.
+ *
+ * A maneuver's `segments` property describes each way along the turn lane in
+ * order. The taper consists of any segments at the beginning of the turn lane
+ * that are tagged `placement=transition`, that precede a change in placement
+ * from one segment to the next (such as from `placement=right_of:1` to
+ * `placement=middle_of:2`), that are narrower than the turn lane's full width
+ * according to `width:lanes`, or that have fewer lanes for the maneuver than
+ * the rest of the turn lane. If the turn lane has none of these
+ * characteristics, it is assumed to have full width along its entire length.
+ *
+ * A segment object has the following properties:
+ *
+ * - length {Number} The length of the segment in meters.
+ * - lanes {Number} The number of lanes for the maneuver along the segment.
+ * - width {Number} The width in meters of the narrowest lane for the maneuver
+ *      along the segment, if known.
+ * - placement {String} The placement of the way along the segment, as
+ *      returned by `getPlacement()`, if known.
+ *
+ * @param maneuver {Object} A flattened maneuver returned by `getManeuvers()`.
+ * @returns {Object} An object whose `storageLength` and `taperLength`
+ *  properties are lengths in meters, or undefined if the maneuver has no
+ *  segments, as with a center turn lane.
+ */
+function measureStorage(maneuver) {
+    let segments = maneuver.segments;
+    if (!segments || !segments.length) {
+        return undefined;
+    }
+    
+    let fullWidth = _.max(segments.map(segment => segment.width));
+    let fullLanes = _.max(segments.map(segment => segment.lanes));
+    
+    // The lanes shift sideways wherever the placement changes between two
+    // consecutive segments, so every segment before the first such change is
+    // part of the taper.
+    let shiftIdx = _.findIndex(segments, (segment, idx) => idx > 0 && segment.placement &&
+                               segments[idx - 1].placement && segment.placement !== segments[idx - 1].placement);
+    let isTaper = (segment, idx) => segment.placement === "transition" || idx < shiftIdx ||
+        segment.lanes < fullLanes || (segment.width !== undefined && segment.width < fullWidth);
+    let taperSegments = _.takeWhile(segments, isTaper);
+    
+    // Avoid reporting the whole turn lane as a taper, which would mean that
+    // the tags are inconsistent.
+    if (taperSegments.length === segments.length) {
+        taperSegments = [];
+    }
+    
+    let taperLength = _.sumBy(taperSegments, "length");
+    return {
+        storageLength: maneuver.lineLength - taperLength,
+        taperLength: taperLength
+    };
+}
+
+module.exports = {
+    getLaneWidths: getLaneWidths,
+    getPlacement: getPlacement,
+    measureStorage: measureStorage
+};
@@ -0,0 +1,43 @@
+"use strict";
+
+let assert = require("assert");
+let _ = require("lodash");
+let test = require("node:test");
+
+let index = require("..");
+
+/**
+ * Returns the lane counts of the maneuvers from the given way in the lane
+ * access fixture.
+ *
+ * @param wayId {Number} The ID of a way in the fixture.
+ * @param profile {String} The vehicle profile.
+ * @returns {Object} A table mapping each turn to an array containing the
+ *  number of usable lanes and the number of restricted lanes.
+ */
+function getLaneCounts(wayId, profile) {
+    let dataset = index.indexElements(require("./fixtures/lane-access.json").elements);
+    let maneuvers = index.getManeuvers(dataset, {
+        profile: profile,
+        issues: []
+    }).filter(maneuver => maneuver.fromWays.includes(wayId));
+    return _.fromPairs(maneuvers.map(maneuver => [maneuver.turn, [maneuver.lanes, maneuver.restrictedLanes]]));
+}
+
+test("turn lane designated exclusively for buses", () => {
+    assert.deepStrictEqual(getLaneCounts(301, "car"), {
+        left: [1, 0],
+        right: [0, 1]
+    });
+    assert.deepStrictEqual(getLaneCounts(301, "bus"), {
+        left: [1, 0],
+        right: [1, 0]
+    });
+});
+
+test("turn lane designated for heavy goods vehicles", () => {
+    assert.deepStrictEqual(getLaneCounts(302, "car"), {
+        left: [1, 0],
+        right: [1, 0]
+    });
+});
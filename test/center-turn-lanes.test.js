@@ -0,0 +1,45 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+
+let index = require("..");
+
+/**
+ * Returns the center turn lane maneuvers from the given way in the center
+ * turn lane fixture.
+ *
+ * @param wayId {Number} The ID of a way in the fixture.
+ * @param options {Object} Options to pass into `getManeuvers()`.
+ * @returns {Array<Object>} The maneuvers from the way.
+ */
+function getManeuversFromWay(wayId, options) {
+    let dataset = index.indexElements(require("./fixtures/center-turn-lanes.json").elements);
+    return index.getManeuvers(dataset, options)
+        .filter(maneuver => maneuver.kind === "centerTurnLane" && maneuver.fromWays.includes(wayId));
+}
+
+test("center turn lane access by vehicle profile", () => {
+    assert.deepStrictEqual(getManeuversFromWay(201, {
+        profile: "car"
+    }).map(maneuver => [maneuver.lanes, maneuver.restrictedLanes]), [[0, 1], [0, 1]]);
+    assert.deepStrictEqual(getManeuversFromWay(201, {
+        profile: "bus"
+    }).map(maneuver => [maneuver.lanes, maneuver.restrictedLanes]), [[1, 0], [1, 0]]);
+});
+
+test("center turn lane with conditional turn indications", () => {
+    assert.deepStrictEqual(getManeuversFromWay(202, {
+        at: "2026-10-19T08:00"
+    }), []);
+    assert.deepStrictEqual(getManeuversFromWay(202, {
+        at: "2026-10-19T12:00"
+    }).map(maneuver => maneuver.turn), ["left", "left"]);
+});
+
+test("center turn lane with slight turns", () => {
+    assert.deepStrictEqual(getManeuversFromWay(203, {}).map(maneuver => maneuver.turn), ["left", "left"]);
+    assert.deepStrictEqual(getManeuversFromWay(203, {
+        detailed: true
+    }).map(maneuver => maneuver.turn), ["slight_left", "slight_left"]);
+});
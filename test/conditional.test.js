@@ -0,0 +1,40 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+
+let conditional = require("../lib/conditional");
+
+test("parsing a moment", () => {
+    assert.deepStrictEqual(conditional.parseMoment("2026-10-19T08:30"), {
+        month: 9,
+        weekday: 1,
+        minutes: 510
+    });
+    assert.deepStrictEqual(conditional.parseMoment("2026-10-19T23:59").minutes, 1439);
+    ["2026-10-19T25:00", "2026-10-19T24:00", "2026-10-19T08:60", "2026-10-19T25:99", "2026-02-30"].forEach(at => {
+        assert.throws(() => conditional.parseMoment(at), /^Error: Unrecognized date/);
+    });
+});
+
+test("evaluating time ranges", () => {
+    let moment = conditional.parseMoment("2026-10-19T08:00");
+    assert.strictEqual(conditional.evaluateOpeningHours("Mo-Fr 07:00-09:00", moment), true);
+    assert.strictEqual(conditional.evaluateOpeningHours("Mo-Fr 16:00-24:00", moment), false);
+    assert.strictEqual(conditional.evaluateOpeningHours("22:00-09:00", moment), true);
+    assert.strictEqual(conditional.evaluateOpeningHours("Mo-Fr 07:00-25:00", moment), undefined);
+    assert.strictEqual(conditional.evaluateOpeningHours("Mo-Fr 07:75-09:00", moment), undefined);
+});
+
+test("reporting malformed time ranges in conditional tags", () => {
+    let unsupported = [];
+    let tags = conditional.applyConditions({
+        "turn:lanes": "left|through",
+        "turn:lanes:conditional": "none|through @ (Mo-Fr 07:00-29:00)"
+    }, {
+        moment: conditional.parseMoment("2026-10-19T08:00"),
+        profile: "car"
+    }, key => unsupported.push(key));
+    assert.strictEqual(tags["turn:lanes"], "left|through");
+    assert.deepStrictEqual(unsupported, ["turn:lanes:conditional"]);
+});
@@ -0,0 +1,35 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+let _ = require("lodash");
+
+let index = require("..");
+
+/**
+ * Returns the left turn found in the given elements.
+ *
+ * @param elements {Array<Object>} Elements in the Overpass JSON format.
+ * @returns {Object} The flattened maneuver that turns left.
+ */
+function findLeftTurn(elements) {
+    let dataset = index.indexElements(_.cloneDeep(elements));
+    let maneuvers = index.getManeuvers(dataset, {
+        issues: []
+    });
+    return maneuvers.find(maneuver => maneuver.turn === "left");
+}
+
+test("connectivity relation overriding the likeliest cross street", () => {
+    let elements = require("./fixtures/connectivity-cross-street.json").elements;
+    
+    // Without the relation, the left turn lane leads onto the perpendicular
+    // cross street.
+    let leftTurn = findLeftTurn(elements.filter(element => element.type !== "relation"));
+    assert.strictEqual(leftTurn.toWay, 13);
+    assert.strictEqual(leftTurn.crossStreetMethod, "heuristic");
+    
+    leftTurn = findLeftTurn(elements);
+    assert.strictEqual(leftTurn.toWay, 14);
+    assert.strictEqual(leftTurn.crossStreetMethod, "connectivity");
+});
@@ -0,0 +1,145 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+
+let index = require("..");
+
+/**
+ * Returns the traffic control of the left turn at a simple intersection.
+ *
+ * The approach, way 10, runs north from node 1 to node 2 by way of node 3,
+ * about 11 meters before the intersection. Node 4 lies about 55 meters before
+ * the intersection.
+ *
+ * @param nodeTags {Object<Object>} A table mapping node IDs to their tags.
+ * @param crossTags {Object} Additional tags on the cross street, way 12.
+ * @returns {String} The left turn's traffic control.
+ */
+function getLeftTurnControl(nodeTags, crossTags) {
+    let nodes = [[1, -0.001, 0], [2, 0, 0], [3, -0.0001, 0], [4, -0.0005, 0], [5, 0.001, 0], [6, 0, -0.001],
+                 [7, 0, 0.001]];
+    let elements = nodes.map(node => ({
+        type: "node",
+        id: node[0],
+        lat: node[1],
+        lon: node[2],
+        tags: nodeTags[node[0]]
+    }));
+    elements.push({
+        type: "way",
+        id: 10,
+        nodes: [1, 4, 3, 2],
+        tags: {
+            highway: "primary",
+            lanes: "3",
+            "lanes:forward": "2",
+            "lanes:backward": "1",
+            "turn:lanes:forward": "left|through"
+        }
+    }, {
+        type: "way",
+        id: 11,
+        nodes: [2, 5],
+        tags: {
+            highway: "primary"
+        }
+    }, {
+        type: "way",
+        id: 12,
+        nodes: [6, 2, 7],
+        tags: Object.assign({
+            highway: "residential"
+        }, crossTags)
+    });
+    
+    let dataset = index.indexElements(elements);
+    let maneuvers = index.getManeuvers(dataset, {
+        issues: []
+    });
+    let leftTurn = maneuvers.find(maneuver => maneuver.turn === "left");
+    return leftTurn.control;
+}
+
+test("uncontrolled intersection", () => {
+    assert.strictEqual(getLeftTurnControl({}), "none");
+});
+
+test("traffic control at the junction node", () => {
+    ["traffic_signals", "stop", "give_way"].forEach(control => {
+        assert.strictEqual(getLeftTurnControl({
+            2: {
+                highway: control
+            }
+        }), control);
+    });
+});
+
+test("traffic control at the stop line", () => {
+    ["traffic_signals", "stop", "give_way"].forEach(control => {
+        assert.strictEqual(getLeftTurnControl({
+            3: {
+                highway: control
+            }
+        }), control);
+    });
+    
+    // Too far before the intersection to govern the turn.
+    assert.strictEqual(getLeftTurnControl({
+        4: {
+            highway: "stop"
+        }
+    }), "none");
+});
+
+test("directional traffic control", () => {
+    assert.strictEqual(getLeftTurnControl({
+        3: {
+            highway: "stop",
+            direction: "forward"
+        }
+    }), "stop");
+    assert.strictEqual(getLeftTurnControl({
+        3: {
+            highway: "give_way",
+            direction: "backward"
+        }
+    }), "none");
+    assert.strictEqual(getLeftTurnControl({
+        3: {
+            highway: "stop",
+            direction: "both"
+        }
+    }), "stop");
+    assert.strictEqual(getLeftTurnControl({
+        3: {
+            highway: "traffic_signals",
+            "traffic_signals:direction": "backward",
+            direction: "forward"
+        }
+    }), "none");
+    assert.strictEqual(getLeftTurnControl({
+        3: {
+            highway: "traffic_signals",
+            "traffic_signals:direction": "forward"
+        }
+    }), "traffic_signals");
+});
+
+test("precedence of traffic controls", () => {
+    assert.strictEqual(getLeftTurnControl({
+        2: {
+            highway: "traffic_signals"
+        },
+        3: {
+            highway: "stop"
+        }
+    }), "traffic_signals");
+    assert.strictEqual(getLeftTurnControl({
+        3: {
+            highway: "give_way"
+        }
+    }, {
+        junction: "roundabout"
+    }), "roundabout");
+});
@@ -0,0 +1,82 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+let _ = require("lodash");
+
+let diff = require("../lib/diff");
+let state = require("../lib/state");
+
+/**
+ * Returns a sorted list describing the given changes.
+ *
+ * @param changes {Array<Object>} Change objects returned by `diffManeuvers()`.
+ * @returns {Array<String>} Each change's kind, the approach's from node, turn,
+ *  and any changed attributes, such as "modified 3011 left lanes".
+ */
+function describeChanges(changes) {
+    return changes.map(change => {
+        let summary = change.new || change.old;
+        return _.compact([change.change, summary.fromNode, summary.turn, change.changes.join(",")]).join(" ");
+    }).sort();
+}
+
+test("diffing maneuvers between snapshots", () => {
+    let oldElements = _.cloneDeep(require("./fixtures/lane-access.json").elements);
+    let newElements = _.cloneDeep(oldElements);
+    
+    // Way 301 gains a second left turn lane, way 302 loses its right turn
+    // lane, and a new way gains a left turn lane.
+    let way301 = newElements.find(element => element.type === "way" && element.id === 301);
+    way301.tags.lanes = "4";
+    way301.tags["turn:lanes"] = "left|left|through|right";
+    way301.tags["bus:lanes"] = "|||designated";
+    let way302 = newElements.find(element => element.type === "way" && element.id === 302);
+    way302.tags["turn:lanes"] = "left|through|through";
+    newElements.push({
+        type: "node",
+        id: 3031,
+        lat: 0.002,
+        lon: 0
+    }, {
+        type: "node",
+        id: 3032,
+        lat: 0.002,
+        lon: 0.002
+    }, {
+        type: "way",
+        id: 303,
+        nodes: [3031, 3032],
+        tags: {
+            highway: "primary",
+            oneway: "yes",
+            lanes: "2",
+            "turn:lanes": "left|through"
+        }
+    });
+    
+    let oldSnapshot = state.createState(oldElements, {
+        issues: []
+    });
+    let newSnapshot = state.createState(newElements, {
+        issues: []
+    });
+    let changes = diff.diffManeuvers(oldSnapshot, newSnapshot);
+    assert.deepStrictEqual(describeChanges(changes), [
+        "added 3031 left",
+        "modified 3011 left lanes",
+        "removed 3021 right"
+    ]);
+    
+    let modified = changes.find(change => change.change === "modified");
+    assert.strictEqual(modified.old.lanes, 1);
+    assert.strictEqual(modified.new.lanes, 2);
+    
+    let report = diff.formatChanges(changes, "tsv").split("\n");
+    assert.strictEqual(report.length, changes.length + 2);
+    assert.strictEqual(report[0].split("\t")[0], "change");
+    assert.strictEqual(_.last(report), "");
+    
+    // Unchanged snapshots have no changes.
+    assert.deepStrictEqual(diff.diffManeuvers(oldSnapshot, oldSnapshot), []);
+});
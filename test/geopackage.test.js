@@ -0,0 +1,91 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+
+let fs = require("fs");
+let os = require("os");
+let path = require("path");
+let initSqlJs = require("sql.js");
+
+let index = require("..");
+let geopackage = require("../lib/geopackage");
+
+/**
+ * Returns the rows that the given query selects, as objects keyed by column
+ * name.
+ *
+ * @param db {Database} A sql.js database.
+ * @param sql {String} A SELECT statement.
+ * @returns {Array<Object>} The selected rows.
+ */
+function selectRows(db, sql) {
+    let statement = db.prepare(sql);
+    let rows = [];
+    while (statement.step()) {
+        rows.push(statement.getAsObject());
+    }
+    statement.free();
+    return rows;
+}
+
+test("writing maneuvers to a GeoPackage", async () => {
+    let dataset = index.indexElements(require("./fixtures/input-sample.json").elements);
+    let maneuvers = index.getManeuvers(dataset, {
+        issues: []
+    });
+    assert.strictEqual(maneuvers.length, 2);
+    
+    let directory = fs.mkdtempSync(path.join(os.tmpdir(), "apple-turnover-"));
+    let outputPath = path.join(directory, "maneuvers.gpkg");
+    let db;
+    try {
+        await new Promise((resolve, reject) => {
+            geopackage.writeGeoPackage(outputPath, maneuvers, dataset, [], {
+                input: "input-sample.json",
+                date: new Date("2026-10-19T08:00:00Z"),
+                options: {}
+            }, (err, runId) => err ? reject(err) : resolve(runId));
+        });
+        let SQL = await initSqlJs();
+        db = new SQL.Database(fs.readFileSync(outputPath));
+    } finally {
+        fs.rmSync(directory, {
+            recursive: true,
+            force: true
+        });
+    }
+    
+    try {
+        assert.strictEqual(db.exec("PRAGMA application_id")[0].values[0][0], 0x47504B47);
+        
+        let contents = selectRows(db, "SELECT * FROM gpkg_contents WHERE table_name = 'maneuvers'");
+        assert.strictEqual(contents.length, 1);
+        assert.strictEqual(contents[0].data_type, "features");
+        assert.strictEqual(contents[0].srs_id, 4326);
+        assert.deepStrictEqual([contents[0].min_x, contents[0].min_y, contents[0].max_x, contents[0].max_y],
+                               [0, -0.001, 0, 0]);
+        
+        let maneuverRows = selectRows(db, "SELECT turn, viaNode, geom FROM maneuvers ORDER BY turn");
+        assert.deepStrictEqual(maneuverRows.map(row => row.turn), ["left", "right"]);
+        let geom = Buffer.from(maneuverRows[0].geom);
+        assert.strictEqual(geom.toString("ascii", 0, 2), "GP");
+        assert.strictEqual(geom.readUInt8(2), 0);
+        assert.strictEqual(geom.readUInt8(3), 0x03);
+        assert.strictEqual(geom.readInt32LE(4), 4326);
+        assert.deepStrictEqual([8, 16, 24, 32].map(offset => geom.readDoubleLE(offset)), [0, 0, -0.001, 0]);
+        // The well-known binary geometry that follows is a little-endian
+        // LineString.
+        assert.strictEqual(geom.readUInt8(40), 1);
+        assert.strictEqual(geom.readUInt32LE(41), 2);
+        
+        let intersectionRows = selectRows(db, "SELECT runId, intersection, node, geom FROM intersections");
+        assert.strictEqual(intersectionRows.length, 1);
+        assert.strictEqual(intersectionRows[0].runId, 1);
+        assert.strictEqual(intersectionRows[0].node, 2);
+        assert.strictEqual(intersectionRows[0].intersection, maneuverRows[0].viaNode);
+        assert.strictEqual(Buffer.from(intersectionRows[0].geom).readUInt32LE(41), 1);
+    } finally {
+        db.close();
+    }
+});
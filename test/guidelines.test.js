@@ -0,0 +1,35 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+
+let guidelines = require("../lib/guidelines");
+
+test("guideline for a full turn applies to detailed turns", () => {
+    let table = [{
+        name: "Slight right",
+        turn: "slight_right",
+        length: 40
+    }, {
+        name: "Left",
+        turn: "left",
+        length: 50
+    }, {
+        name: "Right",
+        turn: "right",
+        length: 30
+    }].map(guidelines.resolveGuideline);
+    let findGuidelineName = turn => {
+        let guideline = guidelines.findGuideline({
+            turn: turn
+        }, table);
+        return guideline && guideline.name;
+    };
+    assert.strictEqual(findGuidelineName("left"), "Left");
+    assert.strictEqual(findGuidelineName("slight_left"), "Left");
+    assert.strictEqual(findGuidelineName("sharp_left"), "Left");
+    assert.strictEqual(findGuidelineName("sharp_right"), "Right");
+    assert.strictEqual(findGuidelineName("slight_right"), "Slight right");
+    assert.strictEqual(findGuidelineName("reverse"), undefined);
+    assert.strictEqual(findGuidelineName("merge_to_left"), undefined);
+});
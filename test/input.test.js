@@ -0,0 +1,90 @@
+"use strict";
+
+let _ = require("lodash");
+let assert = require("assert");
+let fs = require("fs");
+let path = require("path");
+let test = require("node:test");
+
+let input = require("../lib/input");
+let pbf = require("../lib/pbf");
+
+/**
+ * Returns the path to the sample input fixture in the given format.
+ *
+ * @param extension {String} The file extension, such as "osm".
+ * @returns {String} The path to the fixture.
+ */
+function getFixturePath(extension) {
+    return path.join(__dirname, "fixtures", `input-sample.${extension}`);
+}
+
+/**
+ * Returns the given elements in a canonical order and form, so that elements
+ * read from different formats can be compared.
+ *
+ * @param elements {Array<Object>} Nodes, ways, and relations in the Overpass
+ *  JSON format.
+ * @returns {Array<Object>} The elements sorted by type and ID, with
+ *  coordinates rounded to the precision of the PBF format.
+ */
+function canonicalize(elements) {
+    return _.sortBy(elements.map(element => _.omitBy({
+        type: element.type,
+        id: element.id,
+        lat: element.lat === undefined ? undefined : _.round(element.lat, 7),
+        lon: element.lon === undefined ? undefined : _.round(element.lon, 7),
+        nodes: element.nodes,
+        members: element.members,
+        tags: _.isEmpty(element.tags) ? undefined : element.tags
+    }, value => value === undefined)), ["type", "id"]);
+}
+
+let expected = canonicalize(JSON.parse(fs.readFileSync(getFixturePath("json"))).elements);
+
+test("sample input fixture contents", () => {
+    assert.strictEqual(expected.length, 8);
+    assert.deepStrictEqual(_.find(expected, {
+        type: "relation"
+    }).members, [{
+        type: "way",
+        ref: 10,
+        role: "from"
+    }, {
+        type: "node",
+        ref: 2,
+        role: "via"
+    }, {
+        type: "way",
+        ref: 12,
+        role: "to"
+    }]);
+});
+
+test("reading JSON", () => {
+    let data = fs.readFileSync(getFixturePath("json"));
+    assert.strictEqual(input.detectFormat(getFixturePath("json"), data), "json");
+    assert.deepStrictEqual(canonicalize(input.parse(data).elements), expected);
+});
+
+test("reading OSM XML", () => {
+    let data = fs.readFileSync(getFixturePath("osm"));
+    assert.strictEqual(input.detectFormat(getFixturePath("osm"), data), "xml");
+    assert.deepStrictEqual(canonicalize(input.parse(data).elements), expected);
+});
+
+test("reading osmChange", () => {
+    let changes = input.parseChange(fs.readFileSync(getFixturePath("osc")));
+    assert.deepStrictEqual(changes.modify, []);
+    assert.deepStrictEqual(changes.delete, []);
+    assert.deepStrictEqual(canonicalize(changes.create), expected);
+});
+
+test("reading PBF", (t, done) => {
+    assert.strictEqual(input.detectFormat(getFixturePath("osm.pbf")), "pbf");
+    pbf.readPBF(getFixturePath("osm.pbf"), (err, results) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(canonicalize(results.elements), expected);
+        done();
+    });
+});
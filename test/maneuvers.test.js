@@ -0,0 +1,27 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+
+let index = require("..");
+
+test("repeated analysis of a dataset with different heuristics", () => {
+    let dataset = index.indexElements(require("./fixtures/median-u-turn.json").elements);
+    let getToWays = options => index.getManeuvers(dataset, Object.assign({
+        issues: []
+    }, options)).map(maneuver => maneuver.toWay);
+    
+    // The median crossing is about 22 meters long, so it only counts as part
+    // of the intersection if internal segments can be at least that long.
+    assert.deepStrictEqual(getToWays({}), [2002]);
+    assert.deepStrictEqual(getToWays({
+        config: {
+            maxInternalLength: 10
+        }
+    }), [3001]);
+    assert.deepStrictEqual(getToWays({}), [2002]);
+    
+    // The analysis leaves the ways as they were indexed.
+    assert.deepStrictEqual(Object.keys(dataset.waysById[1001]).sort(),
+                           ["id", "line", "lineLength", "nodes", "progressions", "tags", "type"]);
+});
@@ -0,0 +1,95 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+
+let index = require("../index");
+
+/**
+ * Asserts that the given speed in meters per second is equivalent to the given
+ * speed in kilometers per hour, within rounding error.
+ */
+function assertKPH(actual, expected) {
+    assert.ok(Math.abs(actual * 3.6 - expected) < 1e-6, `${actual * 3.6} km/h should be ${expected} km/h`);
+}
+
+test("normalizing speeds with units", () => {
+    assertKPH(index.normalizeSpeed("50"), 50);
+    assertKPH(index.normalizeSpeed("50 km/h"), 50);
+    assertKPH(index.normalizeSpeed("30 mph"), 48.28032);
+    assertKPH(index.normalizeSpeed("30mph"), 48.28032);
+    assertKPH(index.normalizeSpeed("10 knots"), 18.52);
+    assertKPH(index.normalizeSpeed("walk"), 5);
+    ["none", "signals", "fast", ""].forEach(speed => {
+        assert.strictEqual(index.normalizeSpeed(speed), undefined);
+    });
+});
+
+test("normalizing implicit speeds", () => {
+    assertKPH(index.normalizeSpeed("DE:urban"), 50);
+    assertKPH(index.normalizeSpeed("US:urban"), 40.2336);
+    assertKPH(index.normalizeSpeed("DE:zone30"), 30);
+    assertKPH(index.normalizeSpeed("DE:zone:30"), 30);
+    assertKPH(index.normalizeSpeed("GB:zone20"), 32.18688);
+    assert.strictEqual(index.normalizeSpeed("DE:motorway"), undefined);
+    assert.strictEqual(index.normalizeSpeed("XX:urban"), undefined);
+});
+
+test("getting the speed limit of a way", () => {
+    let getMaxSpeed = tags => index.getMaxSpeed({
+        tags: tags
+    }, 1);
+    
+    let limit = getMaxSpeed({
+        maxspeed: "35 mph",
+        "maxspeed:advisory": "20 mph"
+    });
+    assert.strictEqual(limit.source, "advisory");
+    assertKPH(limit.speed, 32.18688);
+    
+    limit = getMaxSpeed({
+        "maxspeed:forward": "40 mph",
+        "maxspeed:backward": "30 mph"
+    });
+    assert.strictEqual(limit.source, "legal");
+    assertKPH(limit.speed, 64.37376);
+    
+    limit = getMaxSpeed({
+        "maxspeed:lanes": "100|120"
+    });
+    assert.strictEqual(limit.source, "legal");
+    assertKPH(limit.speed, 120);
+    
+    limit = getMaxSpeed({
+        maxspeed: "FR:rural"
+    });
+    assert.strictEqual(limit.source, "implicit");
+    assertKPH(limit.speed, 80);
+    
+    assert.strictEqual(getMaxSpeed({}), undefined);
+});
+
+test("falling back to tags that indicate the default speed limit", () => {
+    let getMaxSpeed = tags => index.getMaxSpeed({
+        tags: tags
+    }, -1);
+    
+    ["maxspeed:type", "source:maxspeed", "zone:maxspeed", "zone:traffic"].forEach(key => {
+        let limit = getMaxSpeed({
+            [key]: "DE:rural"
+        });
+        assert.strictEqual(limit.source, "implicit", key);
+        assertKPH(limit.speed, 100);
+    });
+    
+    let limit = getMaxSpeed({
+        "zone:traffic": "DE:urban",
+        "maxspeed": "30"
+    });
+    assert.strictEqual(limit.source, "legal");
+    assertKPH(limit.speed, 30);
+    
+    assert.strictEqual(getMaxSpeed({
+        "zone:traffic": "urban"
+    }), undefined);
+});
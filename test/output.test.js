@@ -0,0 +1,66 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+let _ = require("lodash");
+
+let index = require("..");
+let output = require("../lib/output");
+
+/**
+ * Returns the given maneuvers as they would be written to a file in the given
+ * format.
+ *
+ * @param maneuvers {Array<Object>} Flattened maneuvers.
+ * @param dataset {Object} The dataset containing the maneuvers' ways.
+ * @param format {String} The name of an output format.
+ * @param columnNames {Array<String>} The columns to include.
+ * @returns {String} The contents of the output.
+ */
+function writeToString(maneuvers, dataset, format, columnNames) {
+    let chunks = [];
+    output.writeManeuvers(maneuvers, dataset, format, {
+        write: chunk => chunks.push(chunk)
+    }, columnNames);
+    return chunks.join("");
+}
+
+/**
+ * Returns the left turn in the input sample, with names that contain
+ * delimiters, quotation marks, and line breaks.
+ */
+function analyzeSample() {
+    let elements = _.cloneDeep(require("./fixtures/input-sample.json").elements);
+    let findWay = id => elements.find(element => element.type === "way" && element.id === id);
+    findWay(10).tags.name = "Main \"A\", Street";
+    findWay(11).tags.name = "First\tAvenue\r\nNorth";
+    let dataset = index.indexElements(elements);
+    let maneuvers = index.getManeuvers(dataset, {
+        issues: []
+    }).filter(maneuver => maneuver.turn === "left");
+    assert.strictEqual(maneuvers.length, 1);
+    return {
+        maneuvers: maneuvers,
+        dataset: dataset
+    };
+}
+
+test("quoting CSV fields", () => {
+    let sample = analyzeSample();
+    let csv = writeToString(sample.maneuvers, sample.dataset, "csv", ["turn", "fromName", "toName", "fromWays"]);
+    assert.strictEqual(csv, [
+        "turn,fromName,toName,fromWays",
+        "left,\"Main \"\"A\"\", Street\",\"First\tAvenue\r\nNorth\",10",
+        ""
+    ].join("\r\n"));
+});
+
+test("escaping TSV fields", () => {
+    let sample = analyzeSample();
+    let tsv = writeToString(sample.maneuvers, sample.dataset, "tsv", ["turn", "fromName", "toName", "fromWays"]);
+    assert.strictEqual(tsv, [
+        "turn\tfromName\ttoName\tfromWays",
+        "left\tMain \"A\", Street\tFirst Avenue  North\t10",
+        ""
+    ].join("\n"));
+});
@@ -0,0 +1,43 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+
+let index = require("..");
+
+/**
+ * Returns the maneuvers and issues found in the given fixture.
+ *
+ * @param name {String} The name of a file in the fixtures directory, without
+ *  its extension.
+ * @returns {Object} An object whose `maneuvers` property contains the
+ *  flattened maneuvers and whose `issues` property contains any issues.
+ */
+function analyzeFixture(name) {
+    let dataset = index.indexElements(require(`./fixtures/${name}.json`).elements);
+    let issues = [];
+    let maneuvers = index.getManeuvers(dataset, {
+        issues: issues
+    });
+    return {
+        maneuvers: maneuvers,
+        issues: issues
+    };
+}
+
+test("via way restriction across a divided road's median", () => {
+    let result = analyzeFixture("median-u-turn");
+    let uTurn = result.maneuvers.find(maneuver => maneuver.turn === "reverse");
+    assert.strictEqual(uTurn.toWay, 2002);
+    assert.deepStrictEqual(result.issues.map(issue => issue.message), [
+        "Way 1001 is marked for a U-turn onto 2002 at 102, but relation 9003 prohibits it"
+    ]);
+});
+
+test("prohibitory restriction ruling out the likeliest cross street", () => {
+    let result = analyzeFixture("prohibited-left-turn");
+    let leftTurn = result.maneuvers.find(maneuver => maneuver.turn === "left");
+    assert.strictEqual(leftTurn.toWay, 14);
+    assert.strictEqual(leftTurn.crossStreetMethod, "restriction");
+    assert.deepStrictEqual(result.issues, []);
+});
@@ -0,0 +1,46 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+
+let state = require("../lib/state");
+
+/**
+ * Returns a sorted list describing the given state's maneuvers.
+ *
+ * @param snapshot {Object} A state object.
+ * @returns {Array<String>} Each maneuver's ways and turn, such as "1,2:left".
+ */
+function describeManeuvers(snapshot) {
+    return snapshot.maneuvers.map(maneuver => `${maneuver.fromWays.join(",")}:${maneuver.turn}`).sort();
+}
+
+test("change linking a way onto an untouched maneuver", () => {
+    let elements = require("./fixtures/merging-approaches.json").elements;
+    let original = state.createState(elements, {
+        issues: []
+    });
+    assert.deepStrictEqual(describeManeuvers(original), ["3,2:left"]);
+    
+    // Way 1 gains a turn lane that continues onto way 2, which is already
+    // part of the maneuver from way 3, at a node that the change leaves alone.
+    let way = elements.find(element => element.type === "way" && element.id === 1);
+    let modifiedWay = Object.assign({}, way, {
+        tags: Object.assign({
+            lanes: "2",
+            "turn:lanes": "left|through"
+        }, way.tags)
+    });
+    let update = state.applyChange(original, {
+        create: [],
+        modify: [modifiedWay],
+        delete: []
+    }, {
+        issues: []
+    });
+    let recomputed = state.createState(elements.map(element => element === way ? modifiedWay : element), {
+        issues: []
+    });
+    assert.deepStrictEqual(describeManeuvers(update.state), ["1,2:left", "3,2:left"]);
+    assert.deepStrictEqual(describeManeuvers(update.state), describeManeuvers(recomputed));
+});
@@ -0,0 +1,97 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+
+let summary = require("../lib/summary");
+
+test("interpolating percentiles", () => {
+    let values = [10, 20, 30, 40, 50];
+    assert.strictEqual(summary.getPercentile(values, 0), 10);
+    assert.strictEqual(summary.getPercentile(values, 25), 20);
+    assert.strictEqual(summary.getPercentile(values, 50), 30);
+    assert.strictEqual(summary.getPercentile(values, 90), 46);
+    assert.strictEqual(summary.getPercentile(values, 100), 50);
+    assert.strictEqual(summary.getPercentile([10, 20, 30, 40], 10), 13);
+    assert.strictEqual(summary.getPercentile([42], 75), 42);
+    assert.strictEqual(summary.getPercentile([], 50), undefined);
+});
+
+test("describing a distribution", () => {
+    let distribution = summary.describeDistribution([40, 10, 30, 20], [10, 90], 25);
+    assert.deepStrictEqual(distribution, {
+        mean: 25,
+        median: 25,
+        min: 10,
+        max: 40,
+        percentiles: {
+            10: 13,
+            90: 37
+        },
+        histogram: {
+            0: 2,
+            25: 2
+        }
+    });
+    
+    let empty = summary.describeDistribution([], [10], 25);
+    assert.strictEqual(empty.mean, undefined);
+    assert.strictEqual(empty.median, undefined);
+    assert.deepStrictEqual(empty.histogram, {});
+});
+
+test("grouping maneuvers", () => {
+    let summaries = [
+        {
+            turn: "left",
+            length: 30,
+            protected: true,
+            protectedLength: 10,
+            maxSpeed: 50 / 3.6
+        },
+        {
+            turn: "left",
+            length: 60,
+            protected: false,
+            maxSpeed: 55 / 3.6
+        },
+        {
+            turn: "left",
+            length: 90,
+            protected: true,
+            maxSpeed: 60 / 3.6
+        },
+        {
+            turn: "right",
+            length: 20,
+            protected: false
+        }
+    ];
+    let groups = summary.groupSummaries(summaries, {
+        groupBy: ["turn", "speed"],
+        percentiles: [50]
+    });
+    assert.deepStrictEqual(groups.map(group => group.key), [
+        {
+            turn: "left",
+            speed: "50-60"
+        },
+        {
+            turn: "left",
+            speed: "60-70"
+        },
+        {
+            turn: "right",
+            speed: ""
+        }
+    ]);
+    assert.strictEqual(groups[0].count, 2);
+    assert.strictEqual(groups[0].length.median, 45);
+    assert.strictEqual(groups[0].length.percentiles[50], 45);
+    assert.strictEqual(groups[0].protectedLength.median, 5);
+    assert.strictEqual(groups[1].protectedLength.median, 90);
+    
+    assert.throws(() => summary.groupSummaries(summaries, {
+        groupBy: ["color"]
+    }), /^Error: Unrecognized group key color\./);
+});
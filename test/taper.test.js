@@ -0,0 +1,18 @@
+"use strict";
+
+let assert = require("assert");
+let test = require("node:test");
+
+let index = require("..");
+
+test("taper before a change in placement", () => {
+    let dataset = index.indexElements(require("./fixtures/placement-shift.json").elements);
+    let maneuver = index.getManeuvers(dataset).find(maneuver => maneuver.turn === "left");
+    let summary = index.summarizeManeuver(maneuver, dataset);
+    assert.deepStrictEqual(maneuver.fromWays, [101, 102]);
+    
+    // The lanes shift from right_of:1 on way 101 to middle_of:2 on way 102,
+    // so way 101 is the taper and way 102 is the storage.
+    assert.ok(Math.abs(summary.taperLength - 33.4) < 0.1, `Taper is ${summary.taperLength} m`);
+    assert.ok(Math.abs(summary.storageLength - 77.8) < 0.1, `Storage is ${summary.storageLength} m`);
+});